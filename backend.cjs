@@ -1,367 +1,1448 @@
 // backend/backend.cjs
-// CommonJS Express server for MongoDB-backed API (no auth)
+// CommonJS Express server for MongoDB-backed API (session-token auth on admin routes)
 
 const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const { MongoClient, ObjectId } = require('mongodb');
+const { ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
+const busboy = require('busboy');
 const dotenv = require('dotenv');
+const {
+  eventSchema,
+  teamMemberSchema,
+  manualSchema,
+  categorySchema,
+  userSchema,
+  insightPointSchema,
+  INSIGHT_METRICS,
+  checkInsightPoint,
+  SLUG_RULE,
+  validate,
+} = require('./schemas.cjs');
+const { slugBase, slugTaken, uniqueSlug, previousSlugs } = require('./slugs.cjs');
+const { auditDiff, writeAudit, revisionData, writeRevision } = require('./history.cjs');
+const { resolveEventDates, deriveEventStatus } = require('./event-dates.cjs');
+const {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  TRANSFER_COLLECTIONS,
+  exportBundle,
+  exportCsv,
+  recordsFromCsv,
+  planImport,
+  applyImport,
+} = require('./transfer.cjs');
+const { runMigrations } = require('./migrate.cjs');
+const { createStorage, connectWithRetry } = require('./storage.cjs');
+const { createRateLimiter } = require('./rate-limit.cjs');
+const { createPasswordPolicy } = require('./password-policy.cjs');
+const { icsCalendar, rssFeed, atomFeed } = require('./feeds.cjs');
+const { buildDocument, routeDrift, createContractCheck, DOCS_HTML } = require('./openapi.cjs');
+const { createLogger, requestContext } = require('./logger.cjs');
+const { createRegistry, instrumentStorage } = require('./metrics.cjs');
+const { loadConfig, ConfigError } = require('./config.cjs');
+const { version: API_VERSION } = require('./package.json');
 
 dotenv.config({ path: path.join(__dirname, '.env') });
 
-const PORT = process.env.PORT || 5000;
-const MONGODB_URI = process.env.MONGODB_URI;
-const DB_NAME = process.env.DB_NAME || 'metainfosci_db';
+/**
+ * Builds the API around `config` (see config.cjs): an Express app with its own
+ * storage, metrics, rate limits and lifecycle, so every call is independent.
+ * `storage` replaces the one configured through STORAGE, MONGODB_URI and
+ * STORAGE_FILE. Requests get 503 until connect() has finished. The body keeps
+ * the top-level indentation it had before it became a factory.
+ */
+function buildServer(config, { storage: injectedStorage } = {}) {
+const {
+  STORAGE,
+  STORAGE_FILE,
+  MONGODB_URI,
+  DB_NAME,
+  DB_CONNECT_RETRIES,
+  DB_CONNECT_RETRY_DELAY_MS,
+  DB_SERVER_SELECTION_TIMEOUT_MS,
+  MIGRATE_ON_START,
+  SESSION_TTL_MINUTES,
+  MEDIA_MAX_BYTES,
+  IMPORT_MAX_BYTES,
+  PUBLIC_CACHE_SECONDS,
+  PUBLIC_SITE_URL,
+  SITE_NAME,
+  TRASH_RETENTION_DAYS,
+  API_CONTRACT_CHECKS,
+  BCRYPT_COST,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MIN_CLASSES,
+  PASSWORD_RESET_TTL_MINUTES,
+  PASSWORD_RESET_URL,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_LOCKOUT_MAX_MINUTES,
+  RATE_LIMIT_LOGINS_PER_MINUTE,
+  RATE_LIMIT_WRITES_PER_MINUTE,
+  TRUST_PROXY,
+  LOG_LEVEL,
+  METRICS_TOKEN,
+  SHUTDOWN_DRAIN_SECONDS,
+  SHUTDOWN_TIMEOUT_SECONDS,
+} = config;
+const { checkPassword, describePasswordPolicy } = createPasswordPolicy({
+  minLength: PASSWORD_MIN_LENGTH,
+  minClasses: PASSWORD_MIN_CLASSES,
+});
 
-if (!MONGODB_URI) {
-  console.error('Missing MONGODB_URI in backend/.env');
+// METRICS
+const metrics = createRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status');
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by method and route');
+const dbDuration = metrics.histogram('db_operation_duration_seconds', 'Storage operation latency by collection and operation');
+const dbErrors = metrics.counter('db_operation_errors_total', 'Failed storage operations by collection and operation');
+const logMessages = metrics.counter('log_messages_total', 'Log lines written by level');
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+metrics.gauge('process_start_time_seconds', 'Process start time since the Unix epoch in seconds', () =>
+  Math.round(Date.now() / 1000 - process.uptime())
+);
+
+const logger = createLogger({ level: LOG_LEVEL, onLog: (level) => logMessages.inc({ level }) });
+
+// Tokens are signed with SESSION_SECRET; without it a per-process secret is used,
+// which invalidates every session whenever the server restarts.
+let { SESSION_SECRET } = config;
+if (!SESSION_SECRET) {
+  logger.warn('Missing SESSION_SECRET in backend/.env (using a temporary secret)');
+  SESSION_SECRET = crypto.randomBytes(32).toString('hex');
 }
 
+// Machine sources (analytics jobs) record platform insights with
+// `Authorization: Bearer <key>`, configured as INSIGHTS_INGEST_KEYS="name:key,..."
+const INGEST_KEYS = config.INSIGHTS_INGEST_KEYS
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const sep = entry.indexOf(':');
+    const [source, key] = sep > 0 ? [entry.slice(0, sep), entry.slice(sep + 1)] : ['ingest', entry];
+    return { source, digest: crypto.createHash('sha256').update(key).digest() };
+  });
+
 const app = express();
+if (TRUST_PROXY !== undefined) app.set('trust proxy', TRUST_PROXY);
+// Requests being handled, reported while shutting down
+let inFlightRequests = 0;
+
+// Every request gets an id (the caller's X-Request-Id when it looks sane), echoed
+// back in the response and attached to each log line written while handling it.
+// The access log line and the HTTP metrics are written once the response is sent.
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  inFlightRequests++;
+  res.on('close', () => inFlightRequests--);
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // The route pattern, not the path, keeps the metric labels bounded
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    // 503 is the expected answer while starting or draining
+    const log = res.statusCode === 503 ? logger.warn : res.statusCode >= 500 ? logger.error : logger.info;
+    log('request', {
+      requestId,
+      method: req.method,
+      route,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1e4) / 10,
+      ip: req.ip,
+      ...(req.user ? { userId: req.user.id } : {}),
+    });
+  });
+  requestContext.run({ requestId }, next);
+});
 app.use(cors({ origin: true, credentials: false }));
-app.use(express.json({ limit: '1mb' }));
 
-const client = new MongoClient(MONGODB_URI, {
-  retryWrites: true,
+// 'starting' until connect() has connected and migrated, then 'ready';
+// 'draining' once a shutdown signal arrives
+let lifecycle = 'starting';
+
+// The port opens before the database is reachable, so liveness probes pass
+// while startup retries; until then only the health routes answer. While
+// draining, keep-alive connections are closed after their current response.
+app.use((req, res, next) => {
+  if (lifecycle === 'draining') res.set('Connection', 'close');
+  if (lifecycle !== 'starting' || /^\/health\/(live|ready)\/?$/.test(req.path)) return next();
+  res.set('Retry-After', '5');
+  res.status(503).json({ error: 'Server is starting' });
 });
+// Import bundles are parsed with a larger limit before the default parser runs
+app.use('/admin-services/import', express.json({ limit: IMPORT_MAX_BYTES }), express.text({ type: 'text/csv', limit: IMPORT_MAX_BYTES }));
+app.use(express.json({ limit: '1mb' }));
 
-let db = null;
-
-async function init() {
-  try {
-    await client.connect();
-    db = client.db(DB_NAME);
-    console.log(`[backend] Connected to MongoDB database: ${DB_NAME}`);
-  } catch (err) {
-    console.error('[backend] Failed to connect to MongoDB:', err.message);
-    process.exit(1);
-  }
-}
+// Set by connect(); see storage.cjs for the interface
+let storage = null;
 
 function collections() {
-  const events = db.collection('gallery_events');
-  const categories = db.collection('event_categories');
-  const users = db.collection('users');
-  const insights = db.collection('public_insights');
-  const teamMembers = db.collection('team_members');
-  const manuals = db.collection('user_manuals'); 
-  return { events, categories, users, insights, teamMembers, manuals};
+  const events = storage.collection('gallery_events');
+  const categories = storage.collection('event_categories');
+  const users = storage.collection('users');
+  const teamMembers = storage.collection('team_members');
+  const manuals = storage.collection('user_manuals');
+  const sessions = storage.collection('sessions');
+  const auditLog = storage.collection('audit_log');
+  const revisions = storage.collection('content_revisions');
+  const insightPoints = storage.collection('insight_points');
+  const loginThrottles = storage.collection('login_throttles');
+  const loginEvents = storage.collection('login_events');
+  const passwordResets = storage.collection('password_resets');
+  const setup = storage.collection('setup');
+  return {
+    events,
+    categories,
+    users,
+    teamMembers,
+    manuals,
+    sessions,
+    auditLog,
+    revisions,
+    insightPoints,
+    loginThrottles,
+    loginEvents,
+    passwordResets,
+    setup,
+  };
 }
 
 function mapEvent(doc) {
   if (!doc) return null;
   const { _id, ...rest } = doc;
-  return { id: _id?.toString(), ...rest };
+  return { id: _id?.toString(), ...rest, status: deriveEventStatus(doc), visibility: visibilityOf(doc) };
+}
+
+// Public view of an event: published content only, no bookkeeping fields
+function mapPublicEvent(doc) {
+  if (!doc) return null;
+  const { _id, title, slug, description, date, start_date, end_date, location, images, category, link, attendees } = doc;
+  return {
+    id: _id?.toString(),
+    title,
+    slug,
+    description,
+    date,
+    start_date: start_date instanceof Date ? start_date : null,
+    end_date: end_date instanceof Date ? end_date : null,
+    location,
+    images,
+    category,
+    link,
+    status: deriveEventStatus(doc),
+    ...(attendees !== undefined ? { attendees } : {}),
+  };
 }
 
 function mapUser(doc) {
   if (!doc) return null;
-  const { _id, username, createdAt, updatedAt } = doc;
-  return { id: _id?.toString(), username, createdAt, updatedAt };
+  const { _id, username, createdAt, updatedAt, lastLoginAt = null, lastFailedLoginAt = null } = doc;
+  return { id: _id?.toString(), username, role: userRole(doc), createdAt, updatedAt, lastLoginAt, lastFailedLoginAt };
+}
+
+function mapMedia(file) {
+  if (!file) return null;
+  const id = file._id.toString();
+  return {
+    id,
+    url: MEDIA_PATH + id,
+    filename: file.filename,
+    content_type: file.metadata?.contentType,
+    size: file.length,
+    uploadedAt: file.uploadDate,
+  };
+}
+
+function mapCategory(doc) {
+  if (!doc) return null;
+  const { _id, value, label, order } = doc;
+  return { id: _id?.toString(), value, label, order };
 }
 
 function mapTeamMember(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id?.toString(), ...rest, visibility: visibilityOf(doc) };
+}
+
+function mapAuditEntry(doc) {
   if (!doc) return null;
   const { _id, ...rest } = doc;
   return { id: _id?.toString(), ...rest };
 }
 
-function isValidUsername(u) {
-  return typeof u === 'string' && u.length >= 1 && u.length <= 64 && /^[A-Za-z0-9._-]+$/.test(u);
+// Unique indexes (see migrations/001-create-indexes.cjs) back the
+// application-level duplicate checks against concurrent writes
+function isDuplicateKeyError(err) {
+  return Boolean(err) && err.code === 11000;
+}
+
+// 422 with one message per failing field, as produced by schemas.validate()
+function sendValidationError(res, errors) {
+  return res.status(422).json({ error: 'Validation failed', fields: errors });
+}
+
+// owner: everything, including user management; editor: content only; viewer: read-only
+const ROLES = userSchema.role.enum;
+
+// Accounts created before roles existed have no `role` and keep full access.
+function userRole(doc) {
+  return ROLES.includes(doc.role) ? doc.role : 'owner';
+}
+
+// Records moved to the trash carry `deletedAt`; everything else filters them out
+const NOT_TRASHED = { deletedAt: null };
+
+// Mongo filter matching every active owner, including legacy accounts without a role
+const OWNER_FILTER = { role: { $nin: ['editor', 'viewer'] }, ...NOT_TRASHED };
+
+async function countOtherOwners(id) {
+  const { users } = collections();
+  return users.countDocuments({ ...OWNER_FILTER, _id: { $ne: id } });
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_COST);
+}
+
+// Session tokens: base64url(JSON payload) + '.' + HMAC-SHA256 signature.
+// The payload references a document in `sessions`, so logout/refresh can revoke it.
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
+
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+  const expected = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest();
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload || typeof payload.exp !== 'number' || payload.exp <= Date.now()) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function createSession(userId) {
+  const { sessions } = collections();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_MINUTES * 60 * 1000);
+  const result = await sessions.insertOne({ userId, createdAt: now, expiresAt });
+  const token = signToken({ sid: result.insertedId.toString(), uid: userId.toString(), exp: expiresAt.getTime() });
+  return { token, expires_at: expiresAt };
+}
+
+function readBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+function ingestSourceFor(token) {
+  if (!token) return null;
+  const digest = crypto.createHash('sha256').update(token).digest();
+  const match = INGEST_KEYS.find((k) => crypto.timingSafeEqual(k.digest, digest));
+  return match ? match.source : null;
+}
+
+// Everything under /admin-services requires a valid session except the public
+// routes, login and redeeming a password reset token. While no users exist, creating the first
+// account is also allowed so a fresh install can be bootstrapped (once: see
+// claimBootstrap). Ingest keys only authenticate the routes that record
+// platform insights.
+async function requireAuth(req, res, next) {
+  if (req.method === 'OPTIONS' || req.path.startsWith('/public/') || /^\/users\/(login|password-reset)\/?$/.test(req.path)) {
+    return next();
+  }
+  try {
+    const source = ingestSourceFor(readBearerToken(req));
+    if (source) {
+      if (req.method === 'POST' && /^\/platform-insights\/(points|cache-upsert)\/?$/.test(req.path)) {
+        req.ingestSource = source;
+        return next();
+      }
+      return res.status(403).json({ error: 'Ingest keys may only record platform insights' });
+    }
+    if (req.method === 'POST' && /^\/users\/?$/.test(req.path)) {
+      const { users } = collections();
+      if ((await users.countDocuments({})) === 0) {
+        req.bootstrap = true;
+        return next();
+      }
+    }
+    const payload = verifyToken(readBearerToken(req));
+    if (!payload || !ObjectId.isValid(payload.sid) || !ObjectId.isValid(payload.uid)) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    const { sessions, users } = collections();
+    const session = await sessions.findOne({ _id: new ObjectId(payload.sid) });
+    if (!session || session.expiresAt <= new Date() || session.userId.toString() !== payload.uid) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    const user = await users.findOne({ _id: session.userId, ...NOT_TRASHED });
+    if (!user) return res.status(401).json({ error: 'Session expired' });
+    req.session = session;
+    req.user = mapUser(user);
+    next();
+  } catch (err) {
+    logger.error('Auth middleware error', { err });
+    res.status(500).json({ error: 'Failed to verify session' });
+  }
+}
+
+// Creating the first account claims a marker in `setup` first, so of concurrent
+// bootstrap requests only one goes on to create an owner. Returns false when
+// another request got there first. To bootstrap again after removing every
+// user, delete the { _id: 'bootstrap' } document as well.
+async function claimBootstrap(username) {
+  try {
+    await collections().setup.insertOne({ _id: 'bootstrap', username, claimedAt: new Date() });
+    return true;
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return false;
+    throw err;
+  }
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.bootstrap || (req.user && roles.includes(req.user.role))) return next();
+    res.status(403).json({ error: 'Insufficient permissions' });
+  };
+}
+
+// Writes are limited per client IP before authentication, so bad tokens count too
+app.use(
+  '/admin-services',
+  createRateLimiter({
+    windowMs: 60 * 1000,
+    max: RATE_LIMIT_WRITES_PER_MINUTE,
+    skip: (req) => ['GET', 'HEAD', 'OPTIONS'].includes(req.method),
+  })
+);
+app.use('/admin-services', requireAuth);
+if (API_CONTRACT_CHECKS !== 'off') app.use(createContractCheck({ mode: API_CONTRACT_CHECKS, log: logger }));
+
+// AUDIT LOG
+// The signed-in user, or null for the bootstrap request and background jobs
+function actorOf(req) {
+  return req && req.user ? { id: req.user.id, username: req.user.username } : null;
+}
+
+// Records a mutation; failures are logged but never fail the request itself.
+async function recordAudit(req, entry) {
+  try {
+    await writeAudit(storage, { ...entry, actor: actorOf(req) });
+  } catch (err) {
+    logger.error('Audit log write error', { err });
+  }
+}
+
+function readPagination(query, defaultLimit = 50, maxLimit = 200) {
+  const page = Math.max(1, Math.floor(Number(query.page)) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, Math.floor(Number(query.limit)) || defaultLimit));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+function paginated(data, total, { page, limit }) {
+  return { data, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+}
+
+// SLUGS
+// Events, team members and manuals get a slug from their title or name unless
+// one is given (see slugs.cjs). Replacing a slug keeps the old one in
+// `previous_slugs`, which the public by-slug routes redirect from.
+
+// The slug fields to store for a validated payload, when creating (no
+// `before`) or updating; { conflict } when the slug belongs to another record.
+// Events are passed with their resolved dates, which the generated slug uses.
+async function resolveSlug(collectionName, value, before = null) {
+  const collection = storage.collection(collectionName);
+  if (!value.slug) {
+    if (before?.slug) return { fields: {} };
+    // Also covers records stored without one
+    const base = slugBase(collectionName, { ...before, ...value });
+    return { fields: { slug: await uniqueSlug(collection, base, { exceptId: before?._id }) } };
+  }
+  if (before && value.slug === before.slug) return { fields: {} };
+  if (await slugTaken(collection, value.slug, before?._id)) {
+    return { conflict: `Slug "${value.slug}" is already in use` };
+  }
+  if (!before) return { fields: { slug: value.slug } };
+  return { fields: { slug: value.slug, previous_slugs: previousSlugs(before, value.slug) } };
+}
+
+// PUBLISHING WINDOWS
+// `published` is the editorial switch; optional publish_at / unpublish_at bound
+// when a published record is actually shown on the public routes.
+
+// 'draft' | 'scheduled' | 'live' | 'expired'
+function visibilityOf(doc, now = new Date()) {
+  if (doc.published === false) return 'draft';
+  if (doc.publish_at instanceof Date && doc.publish_at > now) return 'scheduled';
+  if (doc.unpublish_at instanceof Date && doc.unpublish_at <= now) return 'expired';
+  return 'live';
+}
+
+// Adds the publishing window to a public filter ({ published: ... } and friends)
+function liveFilter(base, now = new Date()) {
+  return {
+    $and: [
+      base,
+      NOT_TRASHED,
+      { $or: [{ publish_at: null }, { publish_at: { $lte: now } }] },
+      { $or: [{ unpublish_at: null }, { unpublish_at: { $gt: now } }] },
+    ],
+  };
+}
+
+function checkPublishWindow(value, before = {}) {
+  const start = 'publish_at' in value ? value.publish_at : before.publish_at;
+  const end = 'unpublish_at' in value ? value.unpublish_at : before.unpublish_at;
+  if (start instanceof Date && end instanceof Date && end <= start) {
+    return { unpublish_at: 'must be after publish_at' };
+  }
+  return null;
+}
+
+// PUBLIC RESPONSE CACHING
+// Public routes send a content-hash ETag, Last-Modified and a short shared
+// max-age, and answer conditional requests with 304.
+function sendCacheable(req, res, body, lastModified, type = 'application/json') {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  res.set('Cache-Control', `public, max-age=${PUBLIC_CACHE_SECONDS}, stale-while-revalidate=${PUBLIC_CACHE_SECONDS * 5}`);
+  res.set('ETag', `"${crypto.createHash('sha1').update(text).digest('base64url')}"`);
+  if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+  if (req.fresh) return res.status(304).end();
+  res.type(type).send(text);
+}
+
+// Newest of: the listed records' updatedAt or (passed) publish_at, the last
+// audited change to the resource and the last passed unpublish_at, so deletions
+// and scheduled transitions also move Last-Modified forward.
+async function lastModifiedOf(resource, collection, docs, now = new Date()) {
+  const { auditLog } = collections();
+  const [lastChange, lastExpired] = await Promise.all([
+    auditLog.findOne({ resource }, { sort: { at: -1 } }),
+    collection.findOne({ unpublish_at: { $lte: now } }, { sort: { unpublish_at: -1 } }),
+  ]);
+  const candidates = [lastChange?.at, lastExpired?.unpublish_at];
+  for (const doc of docs) {
+    candidates.push(doc.updatedAt);
+    if (doc.publish_at instanceof Date && doc.publish_at <= now) candidates.push(doc.publish_at);
+  }
+  return candidates.reduce((latest, d) => (d instanceof Date && (!latest || d > latest) ? d : latest), null);
 }
 
-function isValidPassword(p) {
-  return typeof p === 'string' && p.length >= 8 && p.length <= 256;
+function parseDateParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
 }
 
+// GET audit history, filterable by resource, actor (id or username), target and time range
+app.get('/admin-services/audit-log/', requireRole('owner'), async (req, res) => {
+  try {
+    const { resource, actor, target } = req.query;
+    const filter = {};
+    if (resource) filter.resource = String(resource);
+    if (target) filter.targetId = String(target);
+    if (actor) filter.$or = [{ 'actor.id': String(actor) }, { 'actor.username': String(actor) }];
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) return res.status(400).json({ error: 'Invalid from/to date' });
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = from;
+      if (to) filter.at.$lte = to;
+    }
+
+    const { auditLog } = collections();
+    const pagination = readPagination(req.query);
+    const [docs, total] = await Promise.all([
+      auditLog.find(filter).sort({ at: -1 }).skip(pagination.skip).limit(pagination.limit).toArray(),
+      auditLog.countDocuments(filter),
+    ]);
+    res.json(paginated(docs.map(mapAuditEntry), total, pagination));
+  } catch (err) {
+    logger.error('GET /audit-log error', { err });
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// API DESCRIPTION
+app.get('/admin-services/public/openapi.json', (req, res) => {
+  res.json(buildDocument({ serverUrl: `${req.protocol}://${req.get('host')}`, version: API_VERSION }));
+});
+
+app.get('/admin-services/public/docs', (req, res) => {
+  res.type('html').send(DOCS_HTML);
+});
+
 app.get('/health', async (req, res) => {
   try {
     // Attempt a ping using a database command
-    await db.command({ ping: 1 });
+    await storage.ping();
     res.json({ status: 'ok', database: 'connected', timestamp: new Date().toISOString() });
   } catch (err) {
     res.status(500).json({ status: 'error', error: err.message });
   }
 });
 
-// Public insights (users/publications) storage helpers
-async function getPublicInsightsDoc() {
-  const { insights } = collections();
-  let doc = await insights.findOne({ key: 'global' });
-  if (!doc) {
-    doc = {
-      key: 'global',
-      total_users: 0,
-      total_publications: 0,
-      updatedAt: new Date(),
-      source: 'init',
-    };
-    await insights.insertOne(doc);
+// Liveness: the process is up and serving HTTP, whatever the database state
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+});
+
+// A ping slower than this counts as the database being unavailable
+const READY_PING_TIMEOUT_MS = 2000;
+
+// Readiness: whether this instance should receive traffic
+app.get('/health/ready', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  if (lifecycle !== 'ready') return res.status(503).json({ status: lifecycle });
+  const started = process.hrtime.bigint();
+  let timer;
+  try {
+    await Promise.race([
+      storage.ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No reply within ${READY_PING_TIMEOUT_MS} ms`)), READY_PING_TIMEOUT_MS);
+      }),
+    ]);
+    const latencyMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+    res.json({ status: 'ready', database: { status: 'connected', latency_ms: latencyMs } });
+  } catch (err) {
+    logger.warn('Readiness ping failed', { err });
+    res.status(503).json({ status: 'unavailable', database: { status: 'error', error: err.message } });
+  } finally {
+    clearTimeout(timer);
+  }
+});
+
+app.get('/metrics', (req, res) => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (METRICS_TOKEN && !crypto.timingSafeEqual(digest(readBearerToken(req) || ''), digest(METRICS_TOKEN))) {
+    return res.status(401).json({ error: 'Authentication required' });
   }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// PLATFORM INSIGHTS
+// Every accepted snapshot of the platform totals is stored as a dated point in
+// `insight_points`; the public routes read the latest values and the growth
+// series from them. Bad points are corrected or retracted, never overwritten
+// by a later "higher" number.
+const INSIGHT_GRANULARITIES = ['daily', 'weekly', 'monthly'];
+const ACTIVE_POINT = { retractedAt: null };
+
+function mapInsightPoint(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id?.toString(), ...rest };
+}
+
+// Sessions may record points as owner/editor; machine sources use an ingest key
+function requireIngest(req, res, next) {
+  if (req.ingestSource) return next();
+  return requireRole('owner', 'editor')(req, res, next);
+}
+
+// Latest active value of each metric (0 until one is recorded)
+async function latestInsights() {
+  const { insightPoints } = collections();
+  const latest = await Promise.all(
+    INSIGHT_METRICS.map((m) => insightPoints.findOne({ ...ACTIVE_POINT, [m]: { $ne: null } }, { sort: { at: -1 } }))
+  );
+  const points = latest.filter(Boolean);
+  const data = {};
+  INSIGHT_METRICS.forEach((m, i) => {
+    data[m] = latest[i] ? latest[i][m] : 0;
+  });
+  data.updated_at = points.reduce((max, p) => (!max || p.at > max ? p.at : max), null);
+  return { points, data };
+}
+
+async function recordInsightPoint(req, value) {
+  const { insightPoints } = collections();
+  const now = new Date();
+  const doc = {
+    ...value,
+    at: value.at || now,
+    source: req.ingestSource || 'admin',
+    recordedBy: actorOf(req),
+    retractedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const result = await insightPoints.insertOne(doc);
+  doc._id = result.insertedId;
+  await recordAudit(req, {
+    resource: 'insight_points',
+    action: 'create',
+    targetId: doc._id,
+    after: doc,
+    ...(req.ingestSource ? { meta: { source: req.ingestSource } } : {}),
+  });
   return doc;
 }
 
-function toNumberOrZero(val) {
-  const n = Number(val);
-  return Number.isFinite(n) && n >= 0 ? n : 0;
+// First day (UTC) of the day, ISO week (Monday) or month containing `date`
+function periodStart(date, granularity) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), granularity === 'monthly' ? 1 : date.getUTCDate()));
+  if (granularity === 'weekly') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d;
+}
+
+// One entry per period that has points, holding the last value of each metric
+// at the end of that period (carried forward when a point only has one metric)
+function buildInsightSeries(points, granularity, from) {
+  const series = [];
+  const current = Object.fromEntries(INSIGHT_METRICS.map((m) => [m, null]));
+  for (const point of points) {
+    for (const m of INSIGHT_METRICS) {
+      if (point[m] !== undefined && point[m] !== null) current[m] = point[m];
+    }
+    if (from && point.at < from) continue;
+    const period = periodStart(point.at, granularity).toISOString().slice(0, 10);
+    const last = series[series.length - 1];
+    if (last && last.period === period) Object.assign(last, current);
+    else series.push({ period, ...current });
+  }
+  return series;
 }
 
 // GET public insights (no auth)
 app.get('/admin-services/public/platform-insights/', async (req, res) => {
   try {
-    const doc = await getPublicInsightsDoc();
-    res.json({
-      total_users: toNumberOrZero(doc.total_users),
-      total_publications: toNumberOrZero(doc.total_publications),
-      updated_at: doc.updatedAt,
-    });
+    const { insightPoints } = collections();
+    const { points, data } = await latestInsights();
+    sendCacheable(req, res, data, await lastModifiedOf('insight_points', insightPoints, points) || data.updated_at);
   } catch (err) {
-    console.error('GET /public/platform-insights error:', err);
+    logger.error('GET /public/platform-insights error', { err });
     res.status(500).json({ error: 'Failed to fetch public insights' });
   }
 });
 
-// UPSERT (increase-only) public insights (currently no auth; consider protecting in production)
-app.post('/admin-services/platform-insights/cache-upsert', async (req, res) => {
+// GET growth series (no auth): ?granularity=daily|weekly|monthly&from&to
+app.get('/admin-services/public/platform-insights/series', async (req, res) => {
   try {
-    const { total_users, total_publications } = req.body || {};
-    const incomingUsers = toNumberOrZero(total_users);
-    const incomingPubs = toNumberOrZero(total_publications);
+    const granularity = req.query.granularity || 'daily';
+    if (!INSIGHT_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: `granularity must be one of: ${INSIGHT_GRANULARITIES.join(', ')}` });
+    }
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) return res.status(400).json({ error: 'Invalid from/to date' });
+
+    const { insightPoints } = collections();
+    const filter = { ...ACTIVE_POINT };
+    if (to) filter.at = { $lte: to };
+    const points = await insightPoints.find(filter).sort({ at: 1 }).toArray();
+    const body = { granularity, data: buildInsightSeries(points, granularity, from) };
+    sendCacheable(req, res, body, await lastModifiedOf('insight_points', insightPoints, points));
+  } catch (err) {
+    logger.error('GET /public/platform-insights/series error', { err });
+    res.status(500).json({ error: 'Failed to fetch insights series' });
+  }
+});
 
-    const { insights } = collections();
-    const now = new Date();
-    const doc = await getPublicInsightsDoc();
+// LIST recorded points, newest first, including retracted ones
+app.get('/admin-services/platform-insights/points', async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) return res.status(400).json({ error: 'Invalid from/to date' });
+    const filter = {};
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = from;
+      if (to) filter.at.$lte = to;
+    }
+    if (req.query.source) filter.source = String(req.query.source);
+
+    const { insightPoints } = collections();
+    const pagination = readPagination(req.query);
+    const [docs, total] = await Promise.all([
+      insightPoints.find(filter).sort({ at: -1, _id: -1 }).skip(pagination.skip).limit(pagination.limit).toArray(),
+      insightPoints.countDocuments(filter),
+    ]);
+    res.json(paginated(docs.map(mapInsightPoint), total, pagination));
+  } catch (err) {
+    logger.error('GET /platform-insights/points error', { err });
+    res.status(500).json({ error: 'Failed to fetch insight points' });
+  }
+});
 
-    const updates = {};
-    let changed = false;
+// RECORD a point
+app.post('/admin-services/platform-insights/points', requireIngest, async (req, res) => {
+  try {
+    const { value, errors } = validate(insightPointSchema, req.body);
+    if (errors) return sendValidationError(res, errors);
+    const pointError = checkInsightPoint(value);
+    if (pointError) return sendValidationError(res, pointError);
+    const doc = await recordInsightPoint(req, value);
+    res.status(201).json({ success: true, data: mapInsightPoint(doc) });
+  } catch (err) {
+    logger.error('POST /platform-insights/points error', { err });
+    res.status(500).json({ error: 'Failed to record insight point' });
+  }
+});
 
-    if (incomingUsers > toNumberOrZero(doc.total_users)) {
-      updates.total_users = incomingUsers;
-      changed = true;
-    }
-    if (incomingPubs > toNumberOrZero(doc.total_publications)) {
-      updates.total_publications = incomingPubs;
-      changed = true;
-    }
+// Older clients post here; each call now records a point like the route above
+app.post('/admin-services/platform-insights/cache-upsert', requireIngest, async (req, res) => {
+  try {
+    const { value, errors } = validate(insightPointSchema, req.body);
+    if (errors) return sendValidationError(res, errors);
+    const pointError = checkInsightPoint(value);
+    if (pointError) return sendValidationError(res, pointError);
+    await recordInsightPoint(req, value);
+    const { data } = await latestInsights();
+    res.json({ success: true, updated: true, data });
+  } catch (err) {
+    logger.error('POST /platform-insights/cache-upsert error', { err });
+    res.status(500).json({ error: 'Failed to upsert public insights' });
+  }
+});
 
-    if (changed) {
-      updates.updatedAt = now;
-      updates.source = 'client-upsert';
-      await insights.updateOne({ key: 'global' }, { $set: updates });
+// CORRECT a point
+app.put('/admin-services/platform-insights/points/:id', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid id' });
     }
+    const { value, errors } = validate(insightPointSchema, req.body, { partial: true });
+    if (errors) return sendValidationError(res, errors);
+
+    const { insightPoints } = collections();
+    const before = await insightPoints.findOne({ _id: new ObjectId(id) });
+    if (!before) return res.status(404).json({ error: 'Insight point not found' });
+    const pointError = checkInsightPoint(value, before);
+    if (pointError) return sendValidationError(res, pointError);
+    const after = await insightPoints.findOneAndUpdate(
+      { _id: before._id },
+      { $set: { ...value, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!after) return res.status(404).json({ error: 'Insight point not found' });
+    await recordAudit(req, { resource: 'insight_points', action: 'update', targetId: after._id, before, after });
+    res.json({ success: true, data: mapInsightPoint(after) });
+  } catch (err) {
+    logger.error('PUT /platform-insights/points/:id error', { err });
+    res.status(500).json({ error: 'Failed to update insight point' });
+  }
+});
 
-    const latest = await insights.findOne({ key: 'global' });
-    res.json({ success: true, updated: changed, data: {
-      total_users: toNumberOrZero(latest.total_users),
-      total_publications: toNumberOrZero(latest.total_publications),
-      updated_at: latest.updatedAt,
-    }});
+// RETRACT a point; it stays listed for the record but no longer counts
+app.delete('/admin-services/platform-insights/points/:id', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid id' });
+    }
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : '';
+    const { insightPoints } = collections();
+    const before = await insightPoints.findOne({ _id: new ObjectId(id) });
+    if (!before) return res.status(404).json({ error: 'Insight point not found' });
+    if (before.retractedAt) return res.status(409).json({ error: 'Insight point already retracted' });
+    const now = new Date();
+    const after = await insightPoints.findOneAndUpdate(
+      { _id: before._id, ...ACTIVE_POINT },
+      { $set: { retractedAt: now, retractedBy: actorOf(req), retract_reason: reason, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+    if (!after) return res.status(409).json({ error: 'Insight point already retracted' });
+    await recordAudit(req, { resource: 'insight_points', action: 'retract', targetId: after._id, before, after });
+    res.json({ success: true, data: mapInsightPoint(after) });
   } catch (err) {
-    console.error('POST /platform-insights/cache-upsert error:', err);
-    res.status(500).json({ error: 'Failed to upsert public insights' });
+    logger.error('DELETE /platform-insights/points/:id error', { err });
+    res.status(500).json({ error: 'Failed to retract insight point' });
   }
 });
 
-// GET all events
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Status is derived from the dates; undated events match on their stored status.
+function eventStatusFilter(status, now = new Date()) {
+  const stored = { start_date: null, status: { $regex: `^${escapeRegex(status)}$`, $options: 'i' } };
+  switch (status.toLowerCase()) {
+    case 'upcoming':
+      return { $or: [{ start_date: { $gt: now } }, stored] };
+    case 'ongoing':
+      return { $or: [{ start_date: { $lte: now }, end_date: { $gte: now } }, stored] };
+    case 'concluded':
+      return { $or: [{ end_date: { $lt: now } }, stored] };
+    default:
+      return stored;
+  }
+}
+
+const EVENT_SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'start_date'];
+
+// Translates listing query parameters into a Mongo filter and sort:
+//   category=workshop,seminar  status=Upcoming|Ongoing|Concluded
+//   from/to=<ISO date> (events overlapping the range)
+//   q=<text in title/description/location>  sort=title | -start_date
+function buildEventListQuery(query) {
+  const filter = { ...NOT_TRASHED };
+  const and = [];
+
+  if (query.category) {
+    const categories = String(query.category).split(',').map((c) => c.trim()).filter(Boolean);
+    if (categories.length) filter.category = { $in: categories };
+  }
+  if (query.status) {
+    and.push(eventStatusFilter(String(query.status)));
+  }
+
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to);
+  if (from === null || to === null) return { error: 'Invalid from/to date' };
+  if (from) filter.end_date = { $gte: from };
+  if (to) filter.start_date = { $lte: to };
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    const pattern = { $regex: escapeRegex(q), $options: 'i' };
+    and.push({ $or: [{ title: pattern }, { description: pattern }, { location: pattern }] });
+  }
+  if (and.length) filter.$and = and;
+
+  let sort = { createdAt: -1 };
+  if (query.sort) {
+    const raw = String(query.sort);
+    const field = raw.replace(/^-/, '');
+    if (!EVENT_SORT_FIELDS.includes(field)) {
+      return { error: `sort must be one of: ${EVENT_SORT_FIELDS.join(', ')} (prefix with "-" for descending)` };
+    }
+    sort = { [field]: raw.startsWith('-') ? -1 : 1 };
+  }
+  sort._id = sort[Object.keys(sort)[0]];
+
+  return { filter, sort };
+}
+
+// GET events. Without page/limit the full (filtered) list is returned as an
+// array; with them, a { data, pagination } envelope including the total count.
 app.get('/admin-services/gallery-events/', async (req, res) => {
   try {
     const { events } = collections();
-    const docs = await events.find({}).sort({ createdAt: -1 }).toArray();
-    res.json(docs.map(mapEvent));
+    const { filter, sort, error } = buildEventListQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    if (req.query.page === undefined && req.query.limit === undefined) {
+      const docs = await events.find(filter).sort(sort).toArray();
+      return res.json(docs.map(mapEvent));
+    }
+
+    const pagination = readPagination(req.query, 20, 100);
+    const [docs, total] = await Promise.all([
+      events.find(filter).sort(sort).skip(pagination.skip).limit(pagination.limit).toArray(),
+      events.countDocuments(filter),
+    ]);
+    res.json(paginated(docs.map(mapEvent), total, pagination));
   } catch (err) {
-    console.error('GET /gallery-events error:', err);
+    logger.error('GET /gallery-events error', { err });
     res.status(500).json({ error: 'Failed to fetch events' });
   }
 });
 
-// CREATE event
-app.post('/admin-services/gallery-events/', async (req, res) => {
+// Events created before the publish flag existed have no `published` field and stay visible
+const PUBLISHED_EVENT_FILTER = { published: { $ne: false } };
+
+// GET published events (public); same query parameters as the admin listing
+app.get('/admin-services/public/gallery-events/', async (req, res) => {
   try {
     const { events } = collections();
-    const payload = req.body || {};
+    const { filter, sort, error } = buildEventListQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    const publicFilter = { ...filter, $and: [...(filter.$and || []), liveFilter(PUBLISHED_EVENT_FILTER)] };
 
-    if (!payload.title || typeof payload.title !== 'string') {
-      return res.status(400).json({ error: 'title is required' });
+    if (req.query.page === undefined && req.query.limit === undefined) {
+      const docs = await events.find(publicFilter).sort(sort).toArray();
+      return sendCacheable(req, res, docs.map(mapPublicEvent), await lastModifiedOf('gallery_events', events, docs));
     }
 
+    const pagination = readPagination(req.query, 20, 100);
+    const [docs, total] = await Promise.all([
+      events.find(publicFilter).sort(sort).skip(pagination.skip).limit(pagination.limit).toArray(),
+      events.countDocuments(publicFilter),
+    ]);
+    sendCacheable(req, res, paginated(docs.map(mapPublicEvent), total, pagination), await lastModifiedOf('gallery_events', events, docs));
+  } catch (err) {
+    logger.error('GET /public/gallery-events error', { err });
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
+
+// CREATE event
+app.post('/admin-services/gallery-events/', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { events } = collections();
+    const { value, errors } = validate(eventSchema, req.body);
+    if (errors) return sendValidationError(res, errors);
+    const dated = resolveEventDates(value);
+    if (dated.errors) return sendValidationError(res, dated.errors);
+    const categoryError = await checkEventCategory(value);
+    if (categoryError) return sendValidationError(res, categoryError);
+    const mediaError = await resolveMediaRefs('gallery_events', dated.value);
+    if (mediaError) return sendValidationError(res, mediaError);
+    const windowError = checkPublishWindow(value);
+    if (windowError) return sendValidationError(res, windowError);
+    const slug = await resolveSlug('gallery_events', dated.value);
+    if (slug.conflict) return res.status(409).json({ error: slug.conflict });
+
     const now = new Date();
-    const newEvent = {
-      title: payload.title,
-      description: payload.description || '',
-      date: payload.date || '',
-      end_date: payload.end_date ? payload.end_date : null,
-      location: payload.location || '',
-      images: Array.isArray(payload.images) ? payload.images : [],
-      category: payload.category || '',
-      link: payload.link || '',
-      status: payload.status || '',
-      attendees: typeof payload.attendees === 'number' ? payload.attendees : undefined,
-      createdAt: now,
-      updatedAt: now,
-    };
+    const newEvent = { date: '', start_date: null, end_date: null, ...dated.value, ...slug.fields, createdAt: now, updatedAt: now };
 
     const result = await events.insertOne(newEvent);
     newEvent._id = result.insertedId;
+    await recordAudit(req, { resource: 'gallery_events', action: 'create', targetId: newEvent._id, after: newEvent });
 
     res.status(201).json({ success: true, data: mapEvent(newEvent) });
   } catch (err) {
-    console.error('POST /gallery-events error:', err);
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Slug is already in use' });
+    logger.error('POST /gallery-events error', { err });
     res.status(500).json({ error: 'Failed to create event' });
   }
 });
 
 // UPDATE event
-app.put('/admin-services/gallery-events/:id', async (req, res) => {
+app.put('/admin-services/gallery-events/:id', requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({ error: 'Invalid id' });
     }
-    const updates = req.body || {};
-    const allowed = ['title', 'description', 'date', 'end_date', 'location', 'images', 'category', 'link', 'status', 'attendees'];
-    const $set = { updatedAt: new Date() };
-    for (const key of allowed) {
-      if (key in updates) $set[key] = updates[key];
-    }
+    const { value, errors } = validate(eventSchema, req.body, { partial: true });
+    if (errors) return sendValidationError(res, errors);
 
     const { events } = collections();
-    const result = await events.findOneAndUpdate(
-      { _id: new ObjectId(id) },
+    const before = await events.findOne({ _id: new ObjectId(id), ...NOT_TRASHED });
+    if (!before) return res.status(404).json({ error: 'Event not found' });
+    const dated = resolveEventDates(value, before);
+    if (dated.errors) return sendValidationError(res, dated.errors);
+    const categoryError = await checkEventCategory(value);
+    if (categoryError) return sendValidationError(res, categoryError);
+    const mediaError = await resolveMediaRefs('gallery_events', dated.value);
+    if (mediaError) return sendValidationError(res, mediaError);
+    const windowError = checkPublishWindow(value, before);
+    if (windowError) return sendValidationError(res, windowError);
+    const slug = await resolveSlug('gallery_events', dated.value, before);
+    if (slug.conflict) return res.status(409).json({ error: slug.conflict });
+    const $set = { ...dated.value, ...slug.fields, updatedAt: new Date() };
+    const after = await events.findOneAndUpdate(
+      { _id: before._id },
       { $set },
       { returnDocument: 'after' }
     );
 
-    if (!result?.value) return res.status(404).json({ error: 'Event not found' });
-    res.json({ success: true, data: mapEvent(result.value) });
+    if (!after) return res.status(404).json({ error: 'Event not found' });
+    await saveRevision(req, 'gallery-events', before, after);
+    await recordAudit(req, { resource: 'gallery_events', action: 'update', targetId: after._id, before, after });
+    res.json({ success: true, data: mapEvent(after) });
   } catch (err) {
-    console.error('PUT /gallery-events/:id error:', err);
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Slug is already in use' });
+    logger.error('PUT /gallery-events/:id error', { err });
     res.status(500).json({ error: 'Failed to update event' });
   }
 });
 
 // DELETE event
-app.delete('/admin-services/gallery-events/:id', async (req, res) => {
+app.delete('/admin-services/gallery-events/:id', requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({ error: 'Invalid id' });
     }
     const { events } = collections();
-    const result = await events.deleteOne({ _id: new ObjectId(id) });
-    if (result.deletedCount === 0) return res.status(404).json({ error: 'Event not found' });
+    const trashed = await moveToTrash(req, events, new ObjectId(id));
+    if (!trashed) return res.status(404).json({ error: 'Event not found' });
+    await recordTrash(req, 'gallery_events', trashed);
     res.json({ success: true, deleted: 1 });
   } catch (err) {
-    console.error('DELETE /gallery-events/:id error:', err);
+    logger.error('DELETE /gallery-events/:id error', { err });
     res.status(500).json({ error: 'Failed to delete event' });
   }
 });
 
+// CATEGORIES
+// A fresh database gets the defaults from migrations/009-default-categories.cjs
+
+// Returns the stored categories in display order
+async function getCategories() {
+  const { categories } = collections();
+  return categories.find({}).sort({ order: 1, label: 1 }).toArray();
+}
+
+// Event `category` must be empty or one of the stored category values
+async function checkEventCategory(value) {
+  if (!value.category) return null;
+  const known = (await getCategories()).map((c) => c.value);
+  return known.includes(value.category) ? null : { category: `must be one of: ${known.join(', ')}` };
+}
+
 // GET categories
 app.get('/admin-services/events/categories/', async (req, res) => {
   try {
-    const { categories } = collections();
-    const docs = await categories.find({}).sort({ order: 1, label: 1 }).toArray();
-
-    if (!docs || docs.length === 0) {
-      // Provide reasonable defaults if none present
-      return res.json([
-        { value: 'workshop', label: 'Workshop' },
-        { value: 'conference', label: 'Conference' },
-        { value: 'seminar', label: 'Seminar' },
-      ]);
-    }
-
-    const response = docs.map((d) => ({ value: d.value, label: d.label }));
-    res.json(response);
+    const docs = await getCategories();
+    res.json(docs.map(mapCategory));
   } catch (err) {
-    console.error('GET /events/categories error:', err);
+    logger.error('GET /events/categories error', { err });
     res.status(500).json({ error: 'Failed to fetch categories' });
   }
 });
 
-// TEAM MEMBERS CRUD
-app.get('/admin-services/team-members/', async (req, res) => {
+// CREATE category (appended after the existing ones unless `order` is given)
+app.post('/admin-services/events/categories/', requireRole('owner', 'editor'), async (req, res) => {
   try {
-    const { teamMembers } = collections();
-    const docs = await teamMembers.find({}).sort({ order: 1, createdAt: -1 }).toArray();
-    res.json(docs.map(mapTeamMember));
+    const { value, errors } = validate(categorySchema, req.body);
+    if (errors) return sendValidationError(res, errors);
+
+    const { categories } = collections();
+    const existing = await getCategories();
+    if (existing.some((c) => c.value === value.value)) {
+      return res.status(409).json({ error: 'Category value already exists' });
+    }
+    if (req.body.order === undefined) {
+      value.order = existing.reduce((max, c) => Math.max(max, Number(c.order) || 0), 0) + 1;
+    }
+
+    const now = new Date();
+    const doc = { ...value, createdAt: now, updatedAt: now };
+    const result = await categories.insertOne(doc);
+    doc._id = result.insertedId;
+    await recordAudit(req, { resource: 'event_categories', action: 'create', targetId: doc._id, after: doc });
+    res.status(201).json({ success: true, data: mapCategory(doc) });
   } catch (err) {
-    console.error('GET /team-members error:', err);
-    res.status(500).json({ error: 'Failed to fetch team members' });
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Category value already exists' });
+    logger.error('POST /events/categories error', { err });
+    res.status(500).json({ error: 'Failed to create category' });
   }
 });
 
-app.post('/admin-services/team-members/', async (req, res) => {
-  try {
-    const payload = req.body || {};
-    if (!payload.name || typeof payload.name !== 'string') {
-      return res.status(400).json({ error: 'name is required' });
-    }
+// Applies a drag-and-drop order sent as { ids: [...] }. The list must name every
+// record in `existing` exactly once; `order` is rewritten as 1..n in one bulk
+// write so no duplicates or gaps are left behind. Sends the reloaded records.
+// The write runs in a transaction where the storage has them; otherwise a
+// failure partway through is undone by writing the previous values back.
+async function applyOrder(req, res, { collection, existing, reload, resource, noun, map }) {
+  const { ids } = req.body || {};
+  if (!Array.isArray(ids) || !ids.every((id) => typeof id === 'string')) {
+    return sendValidationError(res, { ids: `must be an array of ${noun} ids` });
+  }
+  const known = new Set(existing.map((d) => d._id.toString()));
+  const problems = [];
+  const missing = [...known].filter((id) => !ids.includes(id));
+  const unknown = ids.filter((id) => !known.has(id));
+  const repeated = ids.filter((id, i) => ids.indexOf(id) !== i);
+  if (missing.length) problems.push(`missing: ${missing.join(', ')}`);
+  if (unknown.length) problems.push(`unknown: ${unknown.join(', ')}`);
+  if (repeated.length) problems.push(`repeated: ${[...new Set(repeated)].join(', ')}`);
+  if (problems.length) {
+    return sendValidationError(res, { ids: `must list every ${noun} id exactly once (${problems.join('; ')})` });
+  }
 
-    const now = new Date();
-    const doc = {
-      name: payload.name,
-      affiliation: typeof payload.affiliation === 'string' ? payload.affiliation : '',
-      position1: typeof payload.position1 === 'string' ? payload.position1 : '',
-      position2: typeof payload.position2 === 'string' ? payload.position2 : '',
-      avatar_url: typeof payload.avatar_url === 'string' ? payload.avatar_url : '',
-      scholar_url: typeof payload.scholar_url === 'string' ? payload.scholar_url : '',
-      linkedin_url: typeof payload.linkedin_url === 'string' ? payload.linkedin_url : '',
-      position1_link: typeof payload.position1_link === 'string' ? payload.position1_link : '',
-      position2_link: typeof payload.position2_link === 'string' ? payload.position2_link : '',
-      affiliation_link: typeof payload.affiliation_link === 'string' ? payload.affiliation_link : '',
-      order: Number.isFinite(Number(payload.order)) ? Number(payload.order) : 0,
-      published: payload.published !== undefined ? !!payload.published : true,
-      createdAt: now,
-      updatedAt: now,
-    };
+  const now = new Date();
+  if (ids.length) {
+    const updates = ids.map((id, index) => ({
+      updateOne: { filter: { _id: new ObjectId(id) }, update: { $set: { order: index + 1, updatedAt: now } } },
+    }));
+    try {
+      await storage.transaction((session) => collection.bulkWrite(updates, { ordered: true, session }));
+    } catch (err) {
+      logger.error('Reorder write error', { resource, err });
+      const restores = existing.map((d) => ({
+        updateOne: {
+          filter: { _id: d._id },
+          update:
+            d.order === undefined
+              ? { $unset: { order: '' }, $set: { updatedAt: d.updatedAt } }
+              : { $set: { order: d.order, updatedAt: d.updatedAt } },
+        },
+      }));
+      try {
+        await collection.bulkWrite(restores, { ordered: false });
+      } catch (restoreErr) {
+        logger.error('Reorder restore error', { resource, err: restoreErr });
+        return res.status(500).json({ error: `Failed to reorder ${noun}s; the order may be partly applied, please retry` });
+      }
+      return res.status(500).json({ error: `Failed to reorder ${noun}s; the previous order was kept` });
+    }
+  }
+  const docs = await reload();
+  await recordAudit(req, {
+    resource,
+    action: 'reorder',
+    targetId: null,
+    before: { order: existing.map((d) => d._id.toString()) },
+    after: { order: docs.map((d) => d._id.toString()) },
+  });
+  res.json({ success: true, data: docs.map(map) });
+}
 
-    const { teamMembers } = collections();
-    const result = await teamMembers.insertOne(doc);
-    doc._id = result.insertedId;
-    res.status(201).json({ success: true, data: mapTeamMember(doc) });
+// REORDER categories: { ids: [...] } listing every category in the new order
+app.put('/admin-services/events/categories/order', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { categories } = collections();
+    await applyOrder(req, res, {
+      collection: categories,
+      existing: await getCategories(),
+      reload: getCategories,
+      resource: 'event_categories',
+      noun: 'category',
+      map: mapCategory,
+    });
   } catch (err) {
-    console.error('POST /team-members error:', err);
-    res.status(500).json({ error: 'Failed to create team member' });
+    logger.error('PUT /events/categories/order error', { err });
+    res.status(500).json({ error: 'Failed to reorder categories' });
   }
 });
 
-app.put('/admin-services/team-members/:id', async (req, res) => {
+// UPDATE category; renaming `value` moves every event that uses it. Both writes
+// share a transaction where the storage has them. Otherwise the old value is
+// kept in `renamedFrom` until the events have moved, so repeating the request
+// after a failure in between finishes the move.
+app.put('/admin-services/events/categories/:id', requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
-    const updates = req.body || {};
-    const allowed = ['name', 'affiliation', 'position1', 'position2', 'avatar_url', 'scholar_url', 'linkedin_url', 'position1_link', 'position2_link', 'affiliation_link', 'order', 'published'];
-    const $set = { updatedAt: new Date() };
-    for (const key of allowed) {
-      if (key in updates) $set[key] = key === 'order' ? Number(updates[key]) : updates[key];
+    const { value, errors } = validate(categorySchema, req.body, { partial: true });
+    if (errors) return sendValidationError(res, errors);
+
+    const { categories, events } = collections();
+    const before = await categories.findOne({ _id: new ObjectId(id) });
+    if (!before) return res.status(404).json({ error: 'Category not found' });
+    const renamed = value.value !== undefined && value.value !== before.value;
+    if (renamed && (await categories.findOne({ value: value.value }))) {
+      return res.status(409).json({ error: 'Category value already exists' });
     }
 
-    const { teamMembers } = collections();
-    const result = await teamMembers.findOneAndUpdate(
-      { _id: new ObjectId(id) },
-      { $set },
+    // Values whose events still have to move, including any an interrupted rename left
+    const movingFrom = [...new Set([...(before.renamedFrom || []), ...(renamed ? [before.value] : [])])];
+    const now = new Date();
+    let after;
+    let eventsUpdated = 0;
+    await storage.transaction(async (session) => {
+      after = await categories.findOneAndUpdate(
+        { _id: before._id },
+        { $set: { ...value, updatedAt: now, ...(movingFrom.length ? { renamedFrom: movingFrom } : {}) } },
+        { returnDocument: 'after', session }
+      );
+      if (!after || !movingFrom.length) return;
+      const result = await events.updateMany(
+        { category: { $in: movingFrom } },
+        { $set: { category: after.value, updatedAt: now } },
+        { session }
+      );
+      eventsUpdated = result.modifiedCount;
+      after = await categories.findOneAndUpdate(
+        { _id: before._id },
+        { $unset: { renamedFrom: '' } },
+        { returnDocument: 'after', session }
+      );
+    });
+    if (!after) return res.status(404).json({ error: 'Category not found' });
+    await recordAudit(req, { resource: 'event_categories', action: 'update', targetId: after._id, before, after });
+    if (eventsUpdated > 0) {
+      await recordAudit(req, {
+        resource: 'gallery_events',
+        action: 'recategorize',
+        targetId: null,
+        before: { category: movingFrom.length === 1 ? movingFrom[0] : movingFrom },
+        after: { category: after.value },
+        meta: { count: eventsUpdated },
+      });
+    }
+    res.json({ success: true, data: mapCategory(after), events_updated: eventsUpdated });
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Category value already exists' });
+    logger.error('PUT /events/categories/:id error', { err });
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// DELETE category. Events still using it block the delete unless
+// ?replacement=<value> names the category to move them to. The move and the
+// delete share a transaction where the storage has them; otherwise the events
+// move first, so repeating the request after a failure in between (when none
+// use the category any more) just deletes it.
+app.delete('/admin-services/events/categories/:id', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const { categories, events } = collections();
+    const existing = await getCategories();
+    const target = existing.find((c) => c._id.toString() === id);
+    if (!target) return res.status(404).json({ error: 'Category not found' });
+    if (existing.length === 1) return res.status(409).json({ error: 'Cannot delete the last category' });
+
+    const { replacement } = req.query;
+    const inUse = await events.countDocuments({ category: target.value });
+    if (inUse > 0) {
+      if (!replacement) {
+        return res.status(409).json({ error: 'Category is used by events; pass ?replacement=<value> to move them', events: inUse });
+      }
+      if (replacement === target.value || !existing.some((c) => c.value === replacement)) {
+        return res.status(400).json({ error: 'replacement must be another existing category value' });
+      }
+    }
+
+    let eventsUpdated = 0;
+    await storage.transaction(async (session) => {
+      eventsUpdated = 0;
+      if (inUse > 0) {
+        const result = await events.updateMany(
+          { category: target.value },
+          { $set: { category: replacement, updatedAt: new Date() } },
+          { session }
+        );
+        eventsUpdated = result.modifiedCount;
+      }
+      await categories.deleteOne({ _id: target._id }, { session });
+    });
+    if (eventsUpdated > 0) {
+      await recordAudit(req, {
+        resource: 'gallery_events',
+        action: 'recategorize',
+        targetId: null,
+        before: { category: target.value },
+        after: { category: replacement },
+        meta: { count: eventsUpdated },
+      });
+    }
+    await recordAudit(req, { resource: 'event_categories', action: 'delete', targetId: target._id, before: target });
+    res.json({ success: true, deleted: 1, events_updated: eventsUpdated });
+  } catch (err) {
+    logger.error('DELETE /events/categories/:id error', { err });
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+// TEAM MEMBERS CRUD
+app.get('/admin-services/team-members/', async (req, res) => {
+  try {
+    const { teamMembers } = collections();
+    const docs = await teamMembers.find(NOT_TRASHED).sort({ order: 1, createdAt: -1 }).toArray();
+    res.json(docs.map(mapTeamMember));
+  } catch (err) {
+    logger.error('GET /team-members error', { err });
+    res.status(500).json({ error: 'Failed to fetch team members' });
+  }
+});
+
+app.post('/admin-services/team-members/', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { value, errors } = validate(teamMemberSchema, req.body);
+    if (errors) return sendValidationError(res, errors);
+    const mediaError = await resolveMediaRefs('team_members', value);
+    if (mediaError) return sendValidationError(res, mediaError);
+    const windowError = checkPublishWindow(value);
+    if (windowError) return sendValidationError(res, windowError);
+    const slug = await resolveSlug('team_members', value);
+    if (slug.conflict) return res.status(409).json({ error: slug.conflict });
+
+    const now = new Date();
+    const doc = { ...value, ...slug.fields, createdAt: now, updatedAt: now };
+
+    const { teamMembers } = collections();
+    const result = await teamMembers.insertOne(doc);
+    doc._id = result.insertedId;
+    await recordAudit(req, { resource: 'team_members', action: 'create', targetId: doc._id, after: doc });
+    res.status(201).json({ success: true, data: mapTeamMember(doc) });
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Slug is already in use' });
+    logger.error('POST /team-members error', { err });
+    res.status(500).json({ error: 'Failed to create team member' });
+  }
+});
+
+// REORDER team members: { ids: [...] } listing every team member in the new order
+app.put('/admin-services/team-members/order', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { teamMembers } = collections();
+    const load = () => teamMembers.find(NOT_TRASHED).sort({ order: 1, createdAt: -1 }).toArray();
+    await applyOrder(req, res, {
+      collection: teamMembers,
+      existing: await load(),
+      reload: load,
+      resource: 'team_members',
+      noun: 'team member',
+      map: mapTeamMember,
+    });
+  } catch (err) {
+    logger.error('PUT /team-members/order error', { err });
+    res.status(500).json({ error: 'Failed to reorder team members' });
+  }
+});
+
+app.put('/admin-services/team-members/:id', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const { value, errors } = validate(teamMemberSchema, req.body, { partial: true });
+    if (errors) return sendValidationError(res, errors);
+    const mediaError = await resolveMediaRefs('team_members', value);
+    if (mediaError) return sendValidationError(res, mediaError);
+
+    const { teamMembers } = collections();
+    const before = await teamMembers.findOne({ _id: new ObjectId(id), ...NOT_TRASHED });
+    if (!before) return res.status(404).json({ error: 'Team member not found' });
+    const windowError = checkPublishWindow(value, before);
+    if (windowError) return sendValidationError(res, windowError);
+    const slug = await resolveSlug('team_members', value, before);
+    if (slug.conflict) return res.status(409).json({ error: slug.conflict });
+    const $set = { ...value, ...slug.fields, updatedAt: new Date() };
+    const after = await teamMembers.findOneAndUpdate(
+      { _id: before._id },
+      { $set },
       { returnDocument: 'after' }
     );
-    if (!result?.value) return res.status(404).json({ error: 'Team member not found' });
-    res.json({ success: true, data: mapTeamMember(result.value) });
+    if (!after) return res.status(404).json({ error: 'Team member not found' });
+    await saveRevision(req, 'team-members', before, after);
+    await recordAudit(req, { resource: 'team_members', action: 'update', targetId: after._id, before, after });
+    res.json({ success: true, data: mapTeamMember(after) });
   } catch (err) {
-    console.error('PUT /team-members/:id error:', err);
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Slug is already in use' });
+    logger.error('PUT /team-members/:id error', { err });
     res.status(500).json({ error: 'Failed to update team member' });
   }
 });
 
-app.delete('/admin-services/team-members/:id', async (req, res) => {
+app.delete('/admin-services/team-members/:id', requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
     const { teamMembers } = collections();
-    const result = await teamMembers.deleteOne({ _id: new ObjectId(id) });
-    if (result.deletedCount === 0) return res.status(404).json({ error: 'Team member not found' });
+    const trashed = await moveToTrash(req, teamMembers, new ObjectId(id));
+    if (!trashed) return res.status(404).json({ error: 'Team member not found' });
+    await recordTrash(req, 'team_members', trashed);
     res.json({ success: true, deleted: 1 });
   } catch (err) {
-    console.error('DELETE /team-members/:id error:', err);
+    logger.error('DELETE /team-members/:id error', { err });
     res.status(500).json({ error: 'Failed to delete team member' });
   }
 });
@@ -370,10 +1451,10 @@ app.delete('/admin-services/team-members/:id', async (req, res) => {
 app.get('/admin-services/public/team-members/', async (req, res) => {
   try {
     const { teamMembers } = collections();
-    const docs = await teamMembers.find({ published: true }).sort({ order: 1, createdAt: -1 }).toArray();
-    res.json(docs.map(mapTeamMember));
+    const docs = await teamMembers.find(liveFilter({ published: true })).sort({ order: 1, createdAt: -1 }).toArray();
+    sendCacheable(req, res, docs.map(mapTeamMember), await lastModifiedOf('team_members', teamMembers, docs));
   } catch (err) {
-    console.error('GET /public/team-members error:', err);
+    logger.error('GET /public/team-members error', { err });
     res.status(500).json({ error: 'Failed to fetch team members' });
   }
 });
@@ -382,125 +1463,534 @@ app.get('/admin-services/public/team-members/', async (req, res) => {
 app.get('/admin-services/users/', async (req, res) => {
   try {
     const { users } = collections();
-    const docs = await users.find({}).sort({ createdAt: -1 }).toArray();
+    const docs = await users.find(NOT_TRASHED).sort({ createdAt: -1 }).toArray();
     res.json(docs.map(mapUser));
   } catch (err) {
-    console.error('GET /users error:', err);
+    logger.error('GET /users error', { err });
     res.status(500).json({ error: 'Failed to fetch users' });
   }
 });
 
-app.post('/admin-services/users/', async (req, res) => {
+app.post('/admin-services/users/', requireRole('owner'), async (req, res) => {
   try {
     const { users } = collections();
-    const { username, password } = req.body || {};
-
-    if (!isValidUsername(username)) {
-      return res.status(400).json({ error: 'Invalid username' });
-    }
-    if (!isValidPassword(password)) {
-      return res.status(400).json({ error: 'Invalid password (min 8 chars)' });
-    }
+    const { value, errors } = validate(userSchema, req.body);
+    if (errors) return sendValidationError(res, errors);
+    const { username, password, role } = value;
+    const weakness = checkPassword(password, { username });
+    if (weakness) return sendValidationError(res, { password: weakness });
 
     const existing = await users.findOne({ username });
     if (existing) return res.status(409).json({ error: 'Username already exists' });
 
-    const hash = await bcrypt.hash(password, 12);
+    const hash = await hashPassword(password);
     const now = new Date();
-    const userDoc = { username, passwordHash: hash, createdAt: now, updatedAt: now };
-    const result = await users.insertOne(userDoc);
+    // The bootstrap account is always an owner so the install can be managed.
+    const userDoc = {
+      username,
+      passwordHash: hash,
+      role: req.bootstrap ? 'owner' : role || 'viewer',
+      createdAt: now,
+      updatedAt: now,
+    };
+    if (req.bootstrap && !(await claimBootstrap(username))) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    let result;
+    try {
+      result = await users.insertOne(userDoc);
+    } catch (err) {
+      // Releases the claim so a failed bootstrap can be retried
+      if (req.bootstrap) await collections().setup.deleteOne({ _id: 'bootstrap' });
+      throw err;
+    }
     userDoc._id = result.insertedId;
+    await recordAudit(req, { resource: 'users', action: 'create', targetId: userDoc._id, after: userDoc });
     res.status(201).json({ success: true, data: mapUser(userDoc) });
   } catch (err) {
-    console.error('POST /users error:', err);
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Username already exists' });
+    logger.error('POST /users error', { err });
     res.status(500).json({ error: 'Failed to create user' });
   }
 });
 
-app.put('/admin-services/users/:id', async (req, res) => {
+app.put('/admin-services/users/:id', requireRole('owner'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
 
-    const { username, password } = req.body || {};
+    // Passwords are changed by their owner or through a reset token, never set
+    // here; the edit form still sends an empty one meaning "keep the current one".
+    const payload = { ...(req.body || {}) };
+    if (payload.password === '') delete payload.password;
+    if (payload.password !== undefined) {
+      return sendValidationError(res, { password: 'cannot be set here; issue a password reset instead' });
+    }
+    const { value, errors } = validate(userSchema, payload, { partial: true });
+    if (errors) return sendValidationError(res, errors);
+    const { username, role } = value;
     const $set = { updatedAt: new Date() };
 
     if (username !== undefined) {
-      if (!isValidUsername(username)) return res.status(400).json({ error: 'Invalid username' });
       const { users } = collections();
       const existing = await users.findOne({ username, _id: { $ne: new ObjectId(id) } });
       if (existing) return res.status(409).json({ error: 'Username already exists' });
       $set.username = username;
     }
-    if (password !== undefined && password !== '') {
-      if (!isValidPassword(password)) return res.status(400).json({ error: 'Invalid password (min 8 chars)' });
-      $set.passwordHash = await bcrypt.hash(password, 12);
+    if (role !== undefined) {
+      if (role !== 'owner' && (await countOtherOwners(new ObjectId(id))) === 0) {
+        const { users } = collections();
+        const target = await users.findOne({ _id: new ObjectId(id), ...NOT_TRASHED });
+        if (target && userRole(target) === 'owner') {
+          return res.status(409).json({ error: 'Cannot demote the last owner' });
+        }
+      }
+      $set.role = role;
     }
 
     const { users } = collections();
-    const result = await users.findOneAndUpdate(
-      { _id: new ObjectId(id) },
+    const before = await users.findOne({ _id: new ObjectId(id), ...NOT_TRASHED });
+    if (!before) return res.status(404).json({ error: 'User not found' });
+    const after = await users.findOneAndUpdate(
+      { _id: before._id },
       { $set },
       { returnDocument: 'after' }
     );
-    if (!result?.value) return res.status(404).json({ error: 'User not found' });
-    res.json({ success: true, data: mapUser(result.value) });
+    if (!after) return res.status(404).json({ error: 'User not found' });
+    await recordAudit(req, { resource: 'users', action: 'update', targetId: after._id, before, after });
+    res.json({ success: true, data: mapUser(after) });
   } catch (err) {
-    console.error('PUT /users/:id error:', err);
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Username already exists' });
+    logger.error('PUT /users/:id error', { err });
     res.status(500).json({ error: 'Failed to update user' });
   }
 });
 
-app.delete('/admin-services/users/:id', async (req, res) => {
+app.delete('/admin-services/users/:id', requireRole('owner'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
-    const { users } = collections();
-    const result = await users.deleteOne({ _id: new ObjectId(id) });
-    if (result.deletedCount === 0) return res.status(404).json({ error: 'User not found' });
+    const { users, sessions } = collections();
+    const target = await users.findOne({ _id: new ObjectId(id), ...NOT_TRASHED });
+    if (target && userRole(target) === 'owner' && (await countOtherOwners(target._id)) === 0) {
+      return res.status(409).json({ error: 'Cannot delete the last owner' });
+    }
+    const trashed = await moveToTrash(req, users, new ObjectId(id));
+    if (!trashed) return res.status(404).json({ error: 'User not found' });
+    await sessions.deleteMany({ userId: trashed._id });
+    await recordTrash(req, 'users', trashed);
     res.json({ success: true, deleted: 1 });
   } catch (err) {
-    console.error('DELETE /users/:id error:', err);
+    logger.error('DELETE /users/:id error', { err });
     res.status(500).json({ error: 'Failed to delete user' });
   }
 });
 
-// LOGIN: verify username/password
-app.post('/admin-services/users/login', async (req, res) => {
+// LOGIN THROTTLING
+// Failed logins are counted per username and per client IP in `login_throttles`
+// (ids `user:<username>` and `ip:<address>`). Reaching the limit within the
+// window locks that key; a repeat lockout within a day lasts twice as long.
+const LOGIN_FAILURE_WINDOW_MS = LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000;
+const LOGIN_LOCKOUT_RESET_MS = 24 * 60 * 60 * 1000;
+
+function loginThrottleKeys(req, username) {
+  return [
+    { key: `user:${username}`, limit: LOGIN_MAX_FAILURES },
+    { key: `ip:${req.ip}`, limit: LOGIN_MAX_FAILURES_PER_IP },
+  ];
+}
+
+// Seconds until every lock on `keys` has run out (0 when none is locked)
+async function loginLockRemaining(keys, now) {
+  const { loginThrottles } = collections();
+  const locked = await loginThrottles.find({ _id: { $in: keys.map((k) => k.key) }, lockedUntil: { $gt: now } }).toArray();
+  return locked.reduce((max, doc) => Math.max(max, Math.ceil((doc.lockedUntil - now) / 1000)), 0);
+}
+
+// Counts one failure against `key`; locks it when the limit is reached
+async function countLoginFailure({ key, limit }, now) {
+  const { loginThrottles } = collections();
+  let doc = await loginThrottles.findOneAndUpdate(
+    { _id: key, windowStart: { $gt: new Date(now.getTime() - LOGIN_FAILURE_WINDOW_MS) } },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+    { returnDocument: 'after' }
+  );
+  if (!doc) {
+    // No failures in the current window: start a new one
+    const fresh = { failures: 1, windowStart: now, lastFailureAt: now };
+    doc = await loginThrottles.findOneAndUpdate({ _id: key }, { $set: fresh }, { returnDocument: 'after' });
+    if (!doc) {
+      doc = { _id: key, ...fresh, lockouts: 0, lockedUntil: null, lastLockedAt: null };
+      try {
+        await loginThrottles.insertOne(doc);
+      } catch (err) {
+        if (!isDuplicateKeyError(err)) throw err;
+      }
+    }
+  }
+  if (doc.failures < limit) return;
+
+  const repeat = doc.lastLockedAt instanceof Date && now - doc.lastLockedAt < LOGIN_LOCKOUT_RESET_MS;
+  const lockouts = repeat ? doc.lockouts + 1 : 1;
+  const minutes = Math.min(LOGIN_LOCKOUT_MINUTES * 2 ** (lockouts - 1), LOGIN_LOCKOUT_MAX_MINUTES);
+  await loginThrottles.updateOne(
+    { _id: key },
+    { $set: { failures: 0, windowStart: now, lockouts, lockedUntil: new Date(now.getTime() + minutes * 60 * 1000), lastLockedAt: now } }
+  );
+}
+
+async function recordLoginEvent(req, { username, user, success, reason }) {
+  try {
+    const { loginEvents } = collections();
+    await loginEvents.insertOne({
+      username,
+      userId: user ? user._id : null,
+      success,
+      ...(reason ? { reason } : {}),
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      at: new Date(),
+    });
+  } catch (err) {
+    logger.error('Login event write error', { err });
+  }
+}
+
+function mapLoginEvent(doc) {
+  if (!doc) return null;
+  const { _id, userId, ...rest } = doc;
+  return { id: _id.toString(), userId: userId ? userId.toString() : null, ...rest };
+}
+
+function mapLoginThrottle(doc, now) {
+  const sep = doc._id.indexOf(':');
+  return {
+    key: doc._id,
+    type: doc._id.slice(0, sep),
+    value: doc._id.slice(sep + 1),
+    locked: doc.lockedUntil instanceof Date && doc.lockedUntil > now,
+    lockedUntil: doc.lockedUntil,
+    lockouts: doc.lockouts,
+    failures: doc.windowStart > new Date(now.getTime() - LOGIN_FAILURE_WINDOW_MS) ? doc.failures : 0,
+    lastFailureAt: doc.lastFailureAt,
+  };
+}
+
+// Login attempts per client IP, on top of the failure counting above
+const loginRateLimit = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: RATE_LIMIT_LOGINS_PER_MINUTE,
+  message: 'Too many login attempts; try again later',
+});
+
+// LOGIN: verify username/password. The response's `last_login` describes the
+// sign-in before this one, with the number of failed attempts since.
+app.post('/admin-services/users/login', loginRateLimit, async (req, res) => {
   try {
     const { username, password } = req.body || {};
     if (typeof username !== 'string' || typeof password !== 'string') {
       return res.status(400).json({ error: 'username and password are required' });
     }
-    const { users } = collections();
-    const user = await users.findOne({ username });
-    if (!user || !user.passwordHash) {
+    const now = new Date();
+    const keys = loginThrottleKeys(req, username);
+    const { users, loginThrottles, loginEvents } = collections();
+    const user = await users.findOne({ username, ...NOT_TRASHED });
+
+    const retryAfter = await loginLockRemaining(keys, now);
+    if (retryAfter > 0) {
+      await recordLoginEvent(req, { username, user, success: false, reason: 'locked' });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed login attempts; try again later', retry_after: retryAfter });
+    }
+
+    const ok = Boolean(user && user.passwordHash) && (await bcrypt.compare(password, user.passwordHash));
+    if (!ok) {
+      for (const key of keys) await countLoginFailure(key, now);
+      if (user) await users.updateOne({ _id: user._id }, { $set: { lastFailedLoginAt: now } });
+      await recordLoginEvent(req, { username, user, success: false, reason: 'invalid_credentials' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
-    return res.json({ success: true, data: mapUser(user) });
+
+    await loginThrottles.deleteOne({ _id: keys[0].key });
+    const previous = user.lastLoginAt instanceof Date ? user.lastLoginAt : null;
+    const failedSince = await loginEvents.countDocuments({
+      userId: user._id,
+      success: false,
+      ...(previous ? { at: { $gt: previous } } : {}),
+    });
+    const $set = { lastLoginAt: now, lastLoginIp: req.ip };
+    if (bcrypt.getRounds(user.passwordHash) !== BCRYPT_COST) $set.passwordHash = await hashPassword(password);
+    const after = await users.findOneAndUpdate({ _id: user._id }, { $set }, { returnDocument: 'after' });
+    await recordLoginEvent(req, { username, user, success: true });
+    const session = await createSession(user._id);
+    return res.json({
+      success: true,
+      data: mapUser(after || user),
+      ...session,
+      last_login: { at: previous, ip: previous ? user.lastLoginIp || null : null, failed_attempts_since: failedSince },
+    });
   } catch (err) {
-    console.error('POST /users/login error:', err);
+    logger.error('POST /users/login error', { err });
     res.status(500).json({ error: 'Failed to login' });
   }
 });
 
+// LOGOUT: revoke the current session
+app.post('/admin-services/users/logout', async (req, res) => {
+  try {
+    const { sessions } = collections();
+    await sessions.deleteOne({ _id: req.session._id });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('POST /users/logout error', { err });
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
+
+// REFRESH: exchange a still-valid session for a new one with a fresh expiry
+app.post('/admin-services/users/refresh', async (req, res) => {
+  try {
+    const { sessions } = collections();
+    const session = await createSession(req.session.userId);
+    await sessions.deleteOne({ _id: req.session._id });
+    res.json({ success: true, data: req.user, ...session });
+  } catch (err) {
+    logger.error('POST /users/refresh error', { err });
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// PASSWORDS
+// Users change their own password with the current one. Owners hand an account
+// over by issuing a one-time reset token instead of setting a password; only a
+// SHA-256 hash of the token is stored, and redeeming it signs out every session.
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Stand-in for e-mail until accounts have addresses: the message goes to the
+// server log, and the issuing owner also receives the token in the response.
+function deliverPasswordReset(user, token, expiresAt) {
+  const link = PASSWORD_RESET_URL ? `${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}` : null;
+  logger.info('Password reset mail', { to: user.username, link, ...(link ? {} : { token }), expiresAt });
+  return link;
+}
+
+async function storePassword(user, password) {
+  const { users } = collections();
+  const now = new Date();
+  return users.findOneAndUpdate(
+    { _id: user._id },
+    { $set: { passwordHash: await hashPassword(password), passwordChangedAt: now, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+}
+
+// GET the password rules (public, for the change/reset forms)
+app.get('/admin-services/public/password-policy', (req, res) => {
+  res.json(describePasswordPolicy());
+});
+
+// CHANGE own password: { current_password, new_password }. Other sessions are revoked.
+app.post('/admin-services/users/me/password', async (req, res) => {
+  try {
+    const { current_password: current, new_password: password } = req.body || {};
+    if (typeof current !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'current_password and new_password are required' });
+    }
+    const { users, sessions } = collections();
+    const user = await users.findOne({ _id: new ObjectId(req.user.id), ...NOT_TRASHED });
+    if (!user || !user.passwordHash || !(await bcrypt.compare(current, user.passwordHash))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+    const weakness = password === current ? 'must differ from the current password' : checkPassword(password, user);
+    if (weakness) return sendValidationError(res, { new_password: weakness });
+
+    const after = await storePassword(user, password);
+    const { deletedCount } = await sessions.deleteMany({ userId: user._id, _id: { $ne: req.session._id } });
+    await recordAudit(req, {
+      resource: 'users',
+      action: 'password-change',
+      targetId: user._id,
+      before: user,
+      after,
+      meta: { sessionsRevoked: deletedCount },
+    });
+    res.json({ success: true, sessions_revoked: deletedCount });
+  } catch (err) {
+    logger.error('POST /users/me/password error', { err });
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// ISSUE a reset token for a user, replacing any unused one
+app.post('/admin-services/users/:id/password-reset', requireRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const { users, passwordResets } = collections();
+    const user = await users.findOne({ _id: new ObjectId(id), ...NOT_TRASHED });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await passwordResets.deleteMany({ userId: user._id });
+    await passwordResets.insertOne({
+      userId: user._id,
+      tokenHash: hashResetToken(token),
+      createdBy: actorOf(req),
+      createdAt: now,
+      expiresAt,
+      usedAt: null,
+    });
+    const url = deliverPasswordReset(user, token, expiresAt);
+    await recordAudit(req, { resource: 'users', action: 'password-reset-issue', targetId: user._id, meta: { expiresAt } });
+    res.status(201).json({ success: true, token, expires_at: expiresAt, ...(url ? { url } : {}) });
+  } catch (err) {
+    logger.error('POST /users/:id/password-reset error', { err });
+    res.status(500).json({ error: 'Failed to issue password reset' });
+  }
+});
+
+// REVOKE a user's unused reset token
+app.delete('/admin-services/users/:id/password-reset', requireRole('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const { passwordResets } = collections();
+    const { deletedCount } = await passwordResets.deleteMany({ userId: new ObjectId(id), usedAt: null });
+    if (!deletedCount) return res.status(404).json({ error: 'No pending password reset' });
+    await recordAudit(req, { resource: 'users', action: 'password-reset-revoke', targetId: id });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('DELETE /users/:id/password-reset error', { err });
+    res.status(500).json({ error: 'Failed to revoke password reset' });
+  }
+});
+
+// REDEEM a reset token (no session needed): { token, new_password }. The token
+// is only used up once the new password passes the policy.
+app.post('/admin-services/users/password-reset', loginRateLimit, async (req, res) => {
+  try {
+    const { token, new_password: password } = req.body || {};
+    if (typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'token and new_password are required' });
+    }
+    const { users, sessions, passwordResets, loginThrottles } = collections();
+    const now = new Date();
+    const reset = await passwordResets.findOne({ tokenHash: hashResetToken(token), usedAt: null, expiresAt: { $gt: now } });
+    const user = reset && (await users.findOne({ _id: reset.userId, ...NOT_TRASHED }));
+    if (!user) return res.status(400).json({ error: 'Invalid or expired reset token' });
+    const weakness = checkPassword(password, user);
+    if (weakness) return sendValidationError(res, { new_password: weakness });
+
+    const claimed = await passwordResets.findOneAndUpdate({ _id: reset._id, usedAt: null }, { $set: { usedAt: now } });
+    if (!claimed) return res.status(400).json({ error: 'Invalid or expired reset token' });
+    const after = await storePassword(user, password);
+    await sessions.deleteMany({ userId: user._id });
+    await loginThrottles.deleteOne({ _id: `user:${user.username}` });
+    await recordAudit(req, {
+      resource: 'users',
+      action: 'password-reset',
+      targetId: user._id,
+      before: user,
+      after,
+      meta: { issuedBy: reset.createdBy },
+    });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('POST /users/password-reset error', { err });
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// GET login history, newest first. Owners see every attempt and may filter by
+// username, ip, success and time range; everyone else sees their own logins.
+app.get('/admin-services/login-events/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.user.role === 'owner') {
+      if (req.query.username) filter.username = String(req.query.username);
+      if (req.query.ip) filter.ip = String(req.query.ip);
+    } else {
+      filter.userId = new ObjectId(req.user.id);
+    }
+    if (req.query.success === 'true' || req.query.success === 'false') filter.success = req.query.success === 'true';
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) return res.status(400).json({ error: 'Invalid from/to date' });
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = from;
+      if (to) filter.at.$lte = to;
+    }
+
+    const { loginEvents } = collections();
+    const pagination = readPagination(req.query);
+    const [docs, total] = await Promise.all([
+      loginEvents.find(filter).sort({ at: -1 }).skip(pagination.skip).limit(pagination.limit).toArray(),
+      loginEvents.countDocuments(filter),
+    ]);
+    res.json(paginated(docs.map(mapLoginEvent), total, pagination));
+  } catch (err) {
+    logger.error('GET /login-events error', { err });
+    res.status(500).json({ error: 'Failed to fetch login history' });
+  }
+});
+
+// GET usernames and IPs that are locked out or have recent failed logins
+app.get('/admin-services/lockouts/', requireRole('owner'), async (req, res) => {
+  try {
+    const now = new Date();
+    const { loginThrottles } = collections();
+    const docs = await loginThrottles
+      .find({
+        $or: [
+          { lockedUntil: { $gt: now } },
+          { failures: { $gt: 0 }, windowStart: { $gt: new Date(now.getTime() - LOGIN_FAILURE_WINDOW_MS) } },
+        ],
+      })
+      .sort({ lastFailureAt: -1 })
+      .toArray();
+    res.json(docs.map((doc) => mapLoginThrottle(doc, now)));
+  } catch (err) {
+    logger.error('GET /lockouts error', { err });
+    res.status(500).json({ error: 'Failed to fetch lockouts' });
+  }
+});
+
+// CLEAR a lockout and its failure count, e.g. /lockouts/user:alice or /lockouts/ip:203.0.113.7
+app.delete('/admin-services/lockouts/:key', requireRole('owner'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { loginThrottles } = collections();
+    const before = await loginThrottles.findOneAndDelete({ _id: key });
+    if (!before) return res.status(404).json({ error: 'Lockout not found' });
+    await recordAudit(req, { resource: 'lockouts', action: 'clear', targetId: key, before });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('DELETE /lockouts/:key error', { err });
+    res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+});
+
 // Helper function for mapping manual documents
 function mapManual(doc) {
   if (!doc) return null;
   const { _id, ...rest } = doc;
-  return { id: _id?.toString(), ...rest };
+  return { id: _id?.toString(), ...rest, visibility: visibilityOf(doc) };
 }
 
 // GET all manuals (public - for UserManual page)
 app.get('/admin-services/public/user-manuals/', async (req, res) => {
   try {
     const { manuals } = collections();
-    const docs = await manuals.find({ published: true }).sort({ order: 1, createdAt: -1 }).toArray();
-    res.json(docs.map(mapManual));
+    const docs = await manuals.find(liveFilter({ published: true })).sort({ order: 1, createdAt: -1 }).toArray();
+    sendCacheable(req, res, docs.map(mapManual), await lastModifiedOf('user_manuals', manuals, docs));
   } catch (err) {
-    console.error('GET /public/user-manuals error:', err);
+    logger.error('GET /public/user-manuals error', { err });
     res.status(500).json({ error: 'Failed to fetch manuals' });
   }
 });
@@ -509,98 +1999,1185 @@ app.get('/admin-services/public/user-manuals/', async (req, res) => {
 app.get('/admin-services/user-manuals/', async (req, res) => {
   try {
     const { manuals } = collections();
-    const docs = await manuals.find({}).sort({ order: 1, createdAt: -1 }).toArray();
+    const docs = await manuals.find(NOT_TRASHED).sort({ order: 1, createdAt: -1 }).toArray();
     res.json(docs.map(mapManual));
   } catch (err) {
-    console.error('GET /user-manuals error:', err);
+    logger.error('GET /user-manuals error', { err });
     res.status(500).json({ error: 'Failed to fetch manuals' });
   }
 });
 
 // CREATE manual
-app.post('/admin-services/user-manuals/', async (req, res) => {
+app.post('/admin-services/user-manuals/', requireRole('owner', 'editor'), async (req, res) => {
   try {
-    const payload = req.body || {};
-    if (!payload.title || typeof payload.title !== 'string') {
-      return res.status(400).json({ error: 'title is required' });
-    }
+    const { value, errors } = validate(manualSchema, req.body);
+    if (errors) return sendValidationError(res, errors);
+    const mediaError = await resolveMediaRefs('user_manuals', value);
+    if (mediaError) return sendValidationError(res, mediaError);
+    const windowError = checkPublishWindow(value);
+    if (windowError) return sendValidationError(res, windowError);
+    const slug = await resolveSlug('user_manuals', value);
+    if (slug.conflict) return res.status(409).json({ error: slug.conflict });
 
     const now = new Date();
-    const doc = {
-      title: payload.title,
-      description: typeof payload.description === 'string' ? payload.description : '',
-      video_url: typeof payload.video_url === 'string' ? payload.video_url : '',
-      thumbnail_url: typeof payload.thumbnail_url === 'string' ? payload.thumbnail_url : '',
-      manual_pdf_url: typeof payload.manual_pdf_url === 'string' ? payload.manual_pdf_url : '',
-      order: Number.isFinite(Number(payload.order)) ? Number(payload.order) : 0,
-      published: payload.published !== undefined ? !!payload.published : true,
-      createdAt: now,
-      updatedAt: now,
-    };
+    const doc = { ...value, ...slug.fields, createdAt: now, updatedAt: now };
 
     const { manuals } = collections();
     const result = await manuals.insertOne(doc);
     doc._id = result.insertedId;
+    await recordAudit(req, { resource: 'user_manuals', action: 'create', targetId: doc._id, after: doc });
     res.status(201).json({ success: true, data: mapManual(doc) });
   } catch (err) {
-    console.error('POST /user-manuals error:', err);
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Slug is already in use' });
+    logger.error('POST /user-manuals error', { err });
     res.status(500).json({ error: 'Failed to create manual' });
   }
 });
 
+// REORDER manuals: { ids: [...] } listing every manual in the new order
+app.put('/admin-services/user-manuals/order', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { manuals } = collections();
+    const load = () => manuals.find(NOT_TRASHED).sort({ order: 1, createdAt: -1 }).toArray();
+    await applyOrder(req, res, {
+      collection: manuals,
+      existing: await load(),
+      reload: load,
+      resource: 'user_manuals',
+      noun: 'manual',
+      map: mapManual,
+    });
+  } catch (err) {
+    logger.error('PUT /user-manuals/order error', { err });
+    res.status(500).json({ error: 'Failed to reorder manuals' });
+  }
+});
+
 // UPDATE manual
-app.put('/admin-services/user-manuals/:id', async (req, res) => {
+app.put('/admin-services/user-manuals/:id', requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
-    const updates = req.body || {};
-    const allowed = ['title', 'description', 'video_url', 'thumbnail_url', 'manual_pdf_url', 'order', 'published'];
-    const $set = { updatedAt: new Date() };
-    for (const key of allowed) {
-      if (key in updates) $set[key] = key === 'order' ? Number(updates[key]) : updates[key];
-    }
+    const { value, errors } = validate(manualSchema, req.body, { partial: true });
+    if (errors) return sendValidationError(res, errors);
+    const mediaError = await resolveMediaRefs('user_manuals', value);
+    if (mediaError) return sendValidationError(res, mediaError);
 
     const { manuals } = collections();
-    const result = await manuals.findOneAndUpdate(
-      { _id: new ObjectId(id) },
+    const before = await manuals.findOne({ _id: new ObjectId(id), ...NOT_TRASHED });
+    if (!before) return res.status(404).json({ error: 'Manual not found' });
+    const windowError = checkPublishWindow(value, before);
+    if (windowError) return sendValidationError(res, windowError);
+    const slug = await resolveSlug('user_manuals', value, before);
+    if (slug.conflict) return res.status(409).json({ error: slug.conflict });
+    const $set = { ...value, ...slug.fields, updatedAt: new Date() };
+    const after = await manuals.findOneAndUpdate(
+      { _id: before._id },
       { $set },
       { returnDocument: 'after' }
     );
-    if (!result?.value) return res.status(404).json({ error: 'Manual not found' });
-    res.json({ success: true, data: mapManual(result.value) });
+    if (!after) return res.status(404).json({ error: 'Manual not found' });
+    await saveRevision(req, 'user-manuals', before, after);
+    await recordAudit(req, { resource: 'user_manuals', action: 'update', targetId: after._id, before, after });
+    res.json({ success: true, data: mapManual(after) });
   } catch (err) {
-    console.error('PUT /user-manuals/:id error:', err);
+    if (isDuplicateKeyError(err)) return res.status(409).json({ error: 'Slug is already in use' });
+    logger.error('PUT /user-manuals/:id error', { err });
     res.status(500).json({ error: 'Failed to update manual' });
   }
 });
 
 // DELETE manual
-app.delete('/admin-services/user-manuals/:id', async (req, res) => {
+app.delete('/admin-services/user-manuals/:id', requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
     const { manuals } = collections();
-    const result = await manuals.deleteOne({ _id: new ObjectId(id) });
-    if (result.deletedCount === 0) return res.status(404).json({ error: 'Manual not found' });
+    const trashed = await moveToTrash(req, manuals, new ObjectId(id));
+    if (!trashed) return res.status(404).json({ error: 'Manual not found' });
+    await recordTrash(req, 'user_manuals', trashed);
     res.json({ success: true, deleted: 1 });
   } catch (err) {
-    console.error('DELETE /user-manuals/:id error:', err);
+    logger.error('DELETE /user-manuals/:id error', { err });
     res.status(500).json({ error: 'Failed to delete manual' });
   }
 });
 
+// SEARCH
+// One public search over published events, team members and manuals, backed by
+// the weighted text indexes from migrations/007-search-text-indexes.cjs. Each
+// type contributes its best SEARCH_MAX_PER_TYPE matches; they are merged by
+// text score and paginated together. Nothing is cached, so edits show up in
+// the next search.
+const SEARCH_TYPES = {
+  event: {
+    collection: 'events',
+    filter: () => liveFilter(PUBLISHED_EVENT_FILTER),
+    title: 'title',
+    fields: ['title', 'location', 'description'],
+    map: mapPublicEvent,
+  },
+  team_member: {
+    collection: 'teamMembers',
+    filter: () => liveFilter({ published: true }),
+    title: 'name',
+    fields: ['name', 'position1', 'position2', 'affiliation'],
+    map: mapTeamMember,
+  },
+  manual: {
+    collection: 'manuals',
+    filter: () => liveFilter({ published: true }),
+    title: 'title',
+    fields: ['title', 'description'],
+    map: mapManual,
+  },
+};
+const SEARCH_MAX_PER_TYPE = 100;
+const SEARCH_QUERY_MAX_LENGTH = 200;
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Matches the query's words (and "quoted phrases") for highlighting. Words
+// also match longer forms ("video" marks "videos"); -words and words under
+// three characters are left out.
+function searchHighlightPattern(q) {
+  const phrases = [...q.matchAll(/"([^"]*)"/g)].map((m) => m[1].trim()).filter(Boolean);
+  const words = q
+    .replace(/"[^"]*"/g, ' ')
+    .split(/\s+/)
+    .filter((w) => !w.startsWith('-'))
+    .map((w) => w.replace(/[^\p{L}\p{N}]+/gu, ''))
+    .filter((w) => w.length > 2)
+    .map((w) => (w.length > 3 ? w.replace(/s$/i, '') : w));
+  const parts = [...phrases, ...words].sort((a, b) => b.length - a.length).map(escapeRegex);
+  return parts.length ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})[\\p{L}\\p{N}]*`, 'giu') : null;
+}
+
+// HTML-escaped `text` with the matches wrapped in <mark>; long text is cut to
+// about `maxLength` characters around the first match
+function highlight(text, pattern, maxLength = 200) {
+  if (typeof text !== 'string' || !pattern) return null;
+  const found = [...text.matchAll(pattern)];
+  if (!found.length) return null;
+  const first = found[0].index;
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    start = Math.max(0, first - Math.floor(maxLength / 4));
+    end = Math.min(text.length, start + maxLength);
+    // Whole words only at the cut ends
+    const space = text.indexOf(' ', start);
+    if (start > 0 && space !== -1 && space < first) start = space + 1;
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (end < text.length && lastSpace > first) end = lastSpace;
+  }
+  let out = '';
+  let cursor = start;
+  for (const match of found) {
+    const from = match.index;
+    const to = from + match[0].length;
+    if (from < cursor || to > end) continue;
+    out += `${escapeHtml(text.slice(cursor, from))}<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = to;
+  }
+  out += escapeHtml(text.slice(cursor, end));
+  return `${start > 0 ? '…' : ''}${out.trim()}${end < text.length ? '…' : ''}`;
+}
+
+// GET /public/search?q=...&type=event,manual&page=&limit=
+// MongoDB text search syntax: any word matches, "quoted phrases" must appear
+// and -word excludes.
+app.get('/admin-services/public/search', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) return res.status(400).json({ error: 'q is required' });
+    if (q.length > SEARCH_QUERY_MAX_LENGTH) {
+      return res.status(400).json({ error: `q must be at most ${SEARCH_QUERY_MAX_LENGTH} characters` });
+    }
+    const types = req.query.type ? String(req.query.type).split(',').map((t) => t.trim()).filter(Boolean) : Object.keys(SEARCH_TYPES);
+    if (!types.length || types.some((type) => !SEARCH_TYPES[type])) {
+      return res.status(400).json({ error: `type must be a comma-separated list of: ${Object.keys(SEARCH_TYPES).join(', ')}` });
+    }
+
+    const pagination = readPagination(req.query, 10, 50);
+    const pattern = searchHighlightPattern(q);
+    const groups = await Promise.all(
+      types.map(async (type) => {
+        const spec = SEARCH_TYPES[type];
+        const collection = collections()[spec.collection];
+        const docs = await collection
+          .find({ $text: { $search: q }, ...spec.filter() }, { projection: { score: { $meta: 'textScore' } } })
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(SEARCH_MAX_PER_TYPE)
+          .toArray();
+        return docs.map(({ score, ...doc }) => ({
+          type,
+          id: doc._id.toString(),
+          score: Math.round(score * 1000) / 1000,
+          title: doc[spec.title],
+          highlights: Object.fromEntries(
+            spec.fields.map((field) => [field, highlight(doc[field], pattern)]).filter(([, fragment]) => fragment)
+          ),
+          data: spec.map(doc),
+        }));
+      })
+    );
+    const results = groups.flat().sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+    const counts = Object.fromEntries(types.map((type, i) => [type, groups[i].length]));
+
+    res.set('Cache-Control', 'no-cache');
+    res.json({
+      ...paginated(results.slice(pagination.skip, pagination.skip + pagination.limit), results.length, pagination),
+      counts,
+    });
+  } catch (err) {
+    logger.error('GET /public/search error', { err });
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+// FEEDS
+// Public iCalendar feed of upcoming events, a per-event .ics download and an
+// RSS / Atom feed of newly published events and manuals. All accept
+// ?category=a,b to only include events in those categories.
+const FEED_LIMIT = 50;
+
+function siteUrl(req) {
+  return PUBLIC_SITE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Host part of entry ids (calendar UIDs, feed ids), kept stable across API hosts
+function feedHost(req) {
+  try {
+    return new URL(siteUrl(req)).hostname;
+  } catch (e) {
+    return req.hostname;
+  }
+}
+
+function categoryList(query) {
+  return String(query.category || '').split(',').map((c) => c.trim()).filter(Boolean);
+}
+
+async function categoryLabels() {
+  return new Map((await getCategories()).map((c) => [c.value, c.label]));
+}
+
+function calendarEntry(doc, host, labels) {
+  return {
+    uid: `${doc._id}@${host}`,
+    title: doc.title,
+    description: doc.description,
+    location: doc.location,
+    url: doc.link,
+    categories: doc.category ? [labels.get(doc.category) || doc.category] : [],
+    start: doc.start_date,
+    end: doc.end_date,
+    updated: doc.updatedAt,
+  };
+}
+
+// Records count as published when their publish_at passed, else when created
+function publishedAt(doc) {
+  return doc.publish_at instanceof Date ? doc.publish_at : doc.createdAt || doc._id.getTimestamp();
+}
+
+// GET upcoming and ongoing events as a calendar subscription
+app.get('/admin-services/public/gallery-events.ics', async (req, res) => {
+  try {
+    const { events } = collections();
+    const categories = categoryList(req.query);
+    const filter = liveFilter({
+      ...PUBLISHED_EVENT_FILTER,
+      end_date: { $gte: new Date() },
+      ...(categories.length ? { category: { $in: categories } } : {}),
+    });
+    const docs = await events.find(filter).sort({ start_date: 1, _id: 1 }).limit(500).toArray();
+    const host = feedHost(req);
+    const labels = await categoryLabels();
+    const ics = icsCalendar({ name: `${SITE_NAME} events`, events: docs.map((doc) => calendarEntry(doc, host, labels)) });
+    sendCacheable(req, res, ics, await lastModifiedOf('gallery_events', events, docs), 'text/calendar; charset=utf-8');
+  } catch (err) {
+    logger.error('GET /public/gallery-events.ics error', { err });
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+// GET one event as an .ics file to add to a calendar
+app.get('/admin-services/public/gallery-events/:id.ics', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const { events } = collections();
+    const doc = await events.findOne(liveFilter({ _id: new ObjectId(id), ...PUBLISHED_EVENT_FILTER }));
+    if (!doc) return res.status(404).json({ error: 'Event not found' });
+    if (!(doc.start_date instanceof Date)) return res.status(404).json({ error: 'Event has no calendar dates' });
+    const ics = icsCalendar({ name: doc.title, events: [calendarEntry(doc, feedHost(req), await categoryLabels())] });
+    res.set('Content-Disposition', `attachment; filename="event-${id}.ics"`);
+    sendCacheable(req, res, ics, doc.updatedAt, 'text/calendar; charset=utf-8');
+  } catch (err) {
+    logger.error('GET /public/gallery-events/:id.ics error', { err });
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
 
-// Start server after DB connects
-init().then(() => {
-  app.listen(PORT, () => {
-    console.log(`[backend] Server listening on http://127.0.0.1:${PORT}`);
+// Newest published events and manuals as feed entries (manuals are left out
+// when filtering by category). ?type=events|manuals picks one kind.
+async function feedEntries(req) {
+  const { events, manuals } = collections();
+  const host = feedHost(req);
+  const site = siteUrl(req);
+  const categories = categoryList(req.query);
+  const type = req.query.type;
+  const labels = await categoryLabels();
+  const entries = [];
+  const docs = [];
+
+  if (type !== 'manuals') {
+    const filter = liveFilter({ ...PUBLISHED_EVENT_FILTER, ...(categories.length ? { category: { $in: categories } } : {}) });
+    const eventDocs = await events.find(filter).sort({ createdAt: -1 }).limit(FEED_LIMIT * 2).toArray();
+    docs.push(...eventDocs);
+    for (const doc of eventDocs) {
+      entries.push({
+        id: `tag:${host},2025:gallery-events/${doc._id}`,
+        title: doc.title,
+        summary: [doc.date, doc.location, doc.description].filter(Boolean).join(' | '),
+        link: doc.link || site,
+        category: doc.category ? labels.get(doc.category) || doc.category : '',
+        published: publishedAt(doc),
+        updated: doc.updatedAt || publishedAt(doc),
+      });
+    }
+  }
+  if (type !== 'events' && !categories.length) {
+    const manualDocs = await manuals.find(liveFilter({ published: true })).sort({ createdAt: -1 }).limit(FEED_LIMIT * 2).toArray();
+    docs.push(...manualDocs);
+    for (const doc of manualDocs) {
+      entries.push({
+        id: `tag:${host},2025:user-manuals/${doc._id}`,
+        title: doc.title,
+        summary: doc.description,
+        link: doc.manual_pdf_url || doc.video_url || site,
+        category: 'User manual',
+        published: publishedAt(doc),
+        updated: doc.updatedAt || publishedAt(doc),
+      });
+    }
+  }
+  entries.sort((a, b) => b.published - a.published);
+  return { entries: entries.slice(0, FEED_LIMIT), docs };
+}
+
+async function feedLastModified(docs) {
+  const { events, manuals } = collections();
+  const dates = [
+    await lastModifiedOf('gallery_events', events, docs),
+    await lastModifiedOf('user_manuals', manuals, []),
+  ];
+  return dates.reduce((latest, d) => (d && (!latest || d > latest) ? d : latest), null);
+}
+
+// GET the announcements feed as RSS 2.0 or Atom
+for (const format of ['rss', 'atom']) {
+  app.get(`/admin-services/public/feed.${format}`, async (req, res) => {
+    try {
+      if (req.query.type !== undefined && !['events', 'manuals'].includes(req.query.type)) {
+        return res.status(400).json({ error: 'type must be events or manuals' });
+      }
+      const { entries, docs } = await feedEntries(req);
+      const feed = {
+        id: `tag:${feedHost(req)},2025:feed`,
+        title: `${SITE_NAME} announcements`,
+        description: `New events and user manuals from ${SITE_NAME}`,
+        link: siteUrl(req),
+        selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+        items: entries,
+      };
+      const body = format === 'rss' ? rssFeed(feed) : atomFeed(feed);
+      const type = format === 'rss' ? 'application/rss+xml; charset=utf-8' : 'application/atom+xml; charset=utf-8';
+      sendCacheable(req, res, body, await feedLastModified(docs), type);
+    } catch (err) {
+      logger.error(`GET /public/feed.${format} error`, { err });
+      res.status(500).json({ error: 'Failed to build feed' });
+    }
   });
+}
+
+// MEDIA STORAGE (GridFS bucket `media`)
+// Resources reference uploads by their public URL; `media:<id>` is accepted as
+// a shorthand in payloads and rewritten to that URL.
+const MEDIA_PATH = '/admin-services/public/media/';
+const MEDIA_REF_PATTERN = /^(?:media:|\/admin-services\/public\/media\/)([a-f0-9]{24})$/;
+
+const MEDIA_FIELDS = {
+  gallery_events: ['images'],
+  team_members: ['avatar_url'],
+  user_manuals: ['thumbnail_url', 'manual_pdf_url'],
+};
+
+// Accepted upload types, identified by their leading bytes rather than the
+// client-supplied Content-Type
+const MEDIA_SIGNATURES = [
+  { type: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', test: (b) => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { type: 'image/webp', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { type: 'application/pdf', test: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+];
+
+function mediaBucket() {
+  return storage.bucket('media');
+}
+
+function mediaIdOf(value) {
+  const match = typeof value === 'string' ? MEDIA_REF_PATTERN.exec(value) : null;
+  return match ? match[1] : null;
+}
+
+function mediaIdsOf(resource, doc) {
+  const ids = new Set();
+  for (const field of MEDIA_FIELDS[resource]) {
+    const values = Array.isArray(doc[field]) ? doc[field] : [doc[field]];
+    for (const v of values) {
+      const id = mediaIdOf(v);
+      if (id) ids.add(id);
+    }
+  }
+  return [...ids];
+}
+
+// Rewrites media references in a validated payload to their canonical URL and
+// returns per-field errors for references to files that do not exist.
+async function resolveMediaRefs(resource, value) {
+  const wanted = new Map();
+  for (const field of MEDIA_FIELDS[resource]) {
+    if (value[field] === undefined || value[field] === null) continue;
+    const rewrite = (v) => {
+      const id = mediaIdOf(v);
+      if (!id) return v;
+      wanted.set(id, field);
+      return MEDIA_PATH + id;
+    };
+    value[field] = Array.isArray(value[field]) ? value[field].map(rewrite) : rewrite(value[field]);
+  }
+  if (wanted.size === 0) return null;
+
+  const ids = [...wanted.keys()];
+  const found = await mediaBucket().find({ _id: { $in: ids.map((id) => new ObjectId(id)) } }).toArray();
+  const foundIds = new Set(found.map((f) => f._id.toString()));
+  const errors = {};
+  for (const id of ids) {
+    if (!foundIds.has(id)) errors[wanted.get(id)] = `references unknown media ${id}`;
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+async function isMediaReferenced(id) {
+  const url = MEDIA_PATH + id;
+  const { events, teamMembers, manuals, revisions } = collections();
+  const counts = await Promise.all([
+    events.countDocuments({ images: url }),
+    teamMembers.countDocuments({ avatar_url: url }),
+    manuals.countDocuments({ $or: [{ thumbnail_url: url }, { manual_pdf_url: url }] }),
+    // Older versions must stay restorable
+    revisions.countDocuments({
+      $or: [{ 'data.images': url }, { 'data.avatar_url': url }, { 'data.thumbnail_url': url }, { 'data.manual_pdf_url': url }],
+    }),
+  ]);
+  return counts.some((n) => n > 0);
+}
+
+// Called after a record is deleted: removes its files unless another record still uses them
+async function deleteUnreferencedMedia(req, ids) {
+  for (const id of ids) {
+    try {
+      if (await isMediaReferenced(id)) continue;
+      const file = await mediaBucket().find({ _id: new ObjectId(id) }).next();
+      if (!file) continue;
+      await mediaBucket().delete(file._id);
+      await recordAudit(req, { resource: 'media', action: 'delete', targetId: file._id, before: mapMedia(file) });
+    } catch (err) {
+      logger.error('Media cleanup error', { err });
+    }
+  }
+}
+
+// Buffers the single `file` part of a multipart request (uploads are capped at
+// MEDIA_MAX_BYTES, so holding one in memory is fine). Resolves null when absent.
+function readUpload(req) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: MEDIA_MAX_BYTES } });
+    } catch (err) {
+      return resolve(null);
+    }
+    let upload = null;
+    parser.on('file', (name, stream, info) => {
+      if (name !== 'file') return stream.resume();
+      const chunks = [];
+      let truncated = false;
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('limit', () => {
+        truncated = true;
+      });
+      stream.on('end', () => {
+        upload = { filename: info.filename || 'upload', buffer: Buffer.concat(chunks), truncated };
+      });
+    });
+    parser.on('error', reject);
+    parser.on('close', () => resolve(upload));
+    req.pipe(parser);
+  });
+}
+
+// "bytes=start-end" -> { start, end } (inclusive); null for no/unsupported range, false if unsatisfiable
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : false;
+}
+
+// UPLOAD media (multipart/form-data, field `file`)
+app.post('/admin-services/media/', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const upload = await readUpload(req);
+    if (!upload) return res.status(400).json({ error: 'Expected multipart/form-data with a "file" field' });
+    if (upload.truncated) return res.status(413).json({ error: `File exceeds ${MEDIA_MAX_BYTES} bytes` });
+    if (upload.buffer.length === 0) return res.status(400).json({ error: 'File is empty' });
+
+    const signature = MEDIA_SIGNATURES.find((s) => s.test(upload.buffer));
+    if (!signature) {
+      return res.status(415).json({ error: `Unsupported file type; allowed: ${MEDIA_SIGNATURES.map((s) => s.type).join(', ')}` });
+    }
+
+    const stream = mediaBucket().openUploadStream(upload.filename, {
+      metadata: { contentType: signature.type, uploadedBy: req.user.id },
+    });
+    await new Promise((resolve, reject) => {
+      stream.on('error', reject);
+      stream.on('finish', resolve);
+      stream.end(upload.buffer);
+    });
+
+    const file = await mediaBucket().find({ _id: stream.id }).next();
+    await recordAudit(req, { resource: 'media', action: 'create', targetId: stream.id, after: mapMedia(file) });
+    res.status(201).json({ success: true, data: mapMedia(file) });
+  } catch (err) {
+    logger.error('POST /media error', { err });
+    res.status(500).json({ error: 'Failed to upload media' });
+  }
+});
+
+// GET media list (admin)
+app.get('/admin-services/media/', async (req, res) => {
+  try {
+    const files = await mediaBucket().find({}).sort({ uploadDate: -1 }).toArray();
+    res.json(files.map(mapMedia));
+  } catch (err) {
+    logger.error('GET /media error', { err });
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
+});
+
+// DELETE media that no record references
+app.delete('/admin-services/media/:id', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: 'Invalid id' });
+    const file = await mediaBucket().find({ _id: new ObjectId(id) }).next();
+    if (!file) return res.status(404).json({ error: 'Media not found' });
+    if (await isMediaReferenced(file._id.toString())) {
+      return res.status(409).json({ error: 'Media is still referenced by a record' });
+    }
+    await mediaBucket().delete(file._id);
+    await recordAudit(req, { resource: 'media', action: 'delete', targetId: file._id, before: mapMedia(file) });
+    res.json({ success: true, deleted: 1 });
+  } catch (err) {
+    logger.error('DELETE /media/:id error', { err });
+    res.status(500).json({ error: 'Failed to delete media' });
+  }
 });
 
-process.on('SIGINT', async () => {
+// SERVE media (public). Files never change once stored, so they are cached as
+// immutable; Range requests let browsers page through large PDFs.
+app.get('/admin-services/public/media/:id', async (req, res) => {
   try {
-    await client.close();
-  } catch (e) {}
-  process.exit(0);
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(404).json({ error: 'Media not found' });
+    const file = await mediaBucket().find({ _id: new ObjectId(id) }).next();
+    if (!file) return res.status(404).json({ error: 'Media not found' });
+
+    res.set({
+      'Content-Type': file.metadata?.contentType || 'application/octet-stream',
+      'Content-Disposition': `inline; filename="${String(file.filename).replace(/[^\w.-]/g, '_')}"`,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Accept-Ranges': 'bytes',
+      'X-Content-Type-Options': 'nosniff',
+      ETag: `"${id}"`,
+      'Last-Modified': file.uploadDate.toUTCString(),
+    });
+    if (req.fresh) return res.status(304).end();
+
+    let range = null;
+    if (req.headers.range && (!req.headers['if-range'] || req.headers['if-range'] === `"${id}"`)) {
+      range = parseByteRange(req.headers.range, file.length);
+      if (range === false) {
+        res.set('Content-Range', `bytes */${file.length}`);
+        return res.status(416).end();
+      }
+    }
+
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${file.length}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(file.length));
+    }
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = range
+      ? mediaBucket().openDownloadStream(file._id, { start: range.start, end: range.end + 1 })
+      : mediaBucket().openDownloadStream(file._id);
+    stream.on('error', (err) => {
+      logger.error('GET /public/media/:id stream error', { err });
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    logger.error('GET /public/media/:id error', { err });
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
 });
+// TRASH
+// DELETE routes only mark records with `deletedAt`; they stay restorable from
+// here until purged by hand or after TRASH_RETENTION_DAYS.
+const TRASH_RESOURCES = {
+  'gallery-events': { resource: 'gallery_events', collection: 'events', roles: ['owner', 'editor'], label: (d) => d.title, map: mapEvent },
+  'team-members': { resource: 'team_members', collection: 'teamMembers', roles: ['owner', 'editor'], label: (d) => d.name, map: mapTeamMember },
+  'user-manuals': { resource: 'user_manuals', collection: 'manuals', roles: ['owner', 'editor'], label: (d) => d.title, map: mapManual },
+  users: { resource: 'users', collection: 'users', roles: ['owner'], label: (d) => d.username, map: mapUser },
+};
+
+// Moves a record to the trash; returns the trashed document, or null if it does not exist
+async function moveToTrash(req, collection, id) {
+  return collection.findOneAndUpdate(
+    { _id: id, ...NOT_TRASHED },
+    { $set: { deletedAt: new Date(), deletedBy: actorOf(req) } },
+    { returnDocument: 'after' }
+  );
+}
+
+// Audits a moveToTrash() result with the whole record as `before`, like a
+// purge, so the log shows what was removed, and its trash fields as `after`
+async function recordTrash(req, resource, trashed) {
+  const { deletedAt, deletedBy, ...before } = trashed;
+  await recordAudit(req, { resource, action: 'trash', targetId: trashed._id, before, after: { deletedAt, deletedBy } });
+}
+
+function purgeDate(doc) {
+  return new Date(doc.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Permanently removes a trashed record along with files only it referenced
+async function purgeTrashed(req, type, doc) {
+  const config = TRASH_RESOURCES[type];
+  const collection = collections()[config.collection];
+  const result = await collection.deleteOne({ _id: doc._id, deletedAt: { $ne: null } });
+  if (result.deletedCount === 0) return false;
+  await collections().revisions.deleteMany({ resource: config.resource, targetId: doc._id });
+  await recordAudit(req, { resource: config.resource, action: 'delete', targetId: doc._id, before: doc });
+  if (MEDIA_FIELDS[config.resource]) {
+    await deleteUnreferencedMedia(req, mediaIdsOf(config.resource, doc));
+  }
+  return true;
+}
+
+async function purgeExpiredTrash() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  for (const [type, config] of Object.entries(TRASH_RESOURCES)) {
+    try {
+      const collection = collections()[config.collection];
+      const expired = await collection.find({ deletedAt: { $lte: cutoff } }).toArray();
+      for (const doc of expired) await purgeTrashed(null, type, doc);
+      if (expired.length) logger.info('Purged expired trash', { type, count: expired.length });
+    } catch (err) {
+      logger.error('Trash purge error', { type, err });
+    }
+  }
+}
+
+// Resolves :type/:id to a trashed record the caller may manage, or sends the error
+async function findTrashed(req, res) {
+  const config = TRASH_RESOURCES[req.params.type];
+  if (!config) {
+    res.status(404).json({ error: 'Unknown resource type' });
+    return null;
+  }
+  if (!config.roles.includes(req.user.role)) {
+    res.status(403).json({ error: 'Insufficient permissions' });
+    return null;
+  }
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid id' });
+    return null;
+  }
+  const collection = collections()[config.collection];
+  const doc = await collection.findOne({ _id: new ObjectId(req.params.id), deletedAt: { $ne: null } });
+  if (!doc) {
+    res.status(404).json({ error: 'Item not found in trash' });
+    return null;
+  }
+  return { config, collection, doc };
+}
+
+// GET trash, newest first; ?type=gallery-events|team-members|user-manuals|users
+app.get('/admin-services/trash/', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !TRASH_RESOURCES[type]) return res.status(400).json({ error: 'Unknown resource type' });
+
+    const items = [];
+    for (const [name, config] of Object.entries(TRASH_RESOURCES)) {
+      if ((type && type !== name) || !config.roles.includes(req.user.role)) continue;
+      const docs = await collections()[config.collection].find({ deletedAt: { $ne: null } }).toArray();
+      for (const doc of docs) {
+        items.push({
+          type: name,
+          id: doc._id.toString(),
+          label: config.label(doc),
+          deletedAt: doc.deletedAt,
+          deletedBy: doc.deletedBy || null,
+          purgeAt: purgeDate(doc),
+          data: config.map(doc),
+        });
+      }
+    }
+    items.sort((a, b) => b.deletedAt - a.deletedAt);
+    res.json(items);
+  } catch (err) {
+    logger.error('GET /trash error', { err });
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// RESTORE a trashed record
+app.post('/admin-services/trash/:type/:id/restore', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const found = await findTrashed(req, res);
+    if (!found) return;
+    const { config, collection, doc } = found;
+    const after = await collection.findOneAndUpdate(
+      { _id: doc._id },
+      { $set: { updatedAt: new Date() }, $unset: { deletedAt: '', deletedBy: '' } },
+      { returnDocument: 'after' }
+    );
+    await recordAudit(req, { resource: config.resource, action: 'restore', targetId: doc._id });
+    res.json({ success: true, data: config.map(after) });
+  } catch (err) {
+    logger.error('POST /trash/:type/:id/restore error', { err });
+    res.status(500).json({ error: 'Failed to restore item' });
+  }
+});
+
+// PURGE a trashed record permanently
+app.delete('/admin-services/trash/:type/:id', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const found = await findTrashed(req, res);
+    if (!found) return;
+    if (!(await purgeTrashed(req, req.params.type, found.doc))) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+    res.json({ success: true, deleted: 1 });
+  } catch (err) {
+    logger.error('DELETE /trash/:type/:id error', { err });
+    res.status(500).json({ error: 'Failed to purge item' });
+  }
+});
+
+// REVISIONS
+// Every update of an event, team member or manual keeps the version it
+// replaced, numbered per record from 1. A rollback is an update as well, so
+// the version it replaces is kept too.
+const REVISIONED = {
+  'gallery-events': { resource: 'gallery_events', collection: 'events', schema: eventSchema, map: mapEvent, notFound: 'Event not found' },
+  'team-members': { resource: 'team_members', collection: 'teamMembers', schema: teamMemberSchema, map: mapTeamMember, notFound: 'Team member not found' },
+  'user-manuals': { resource: 'user_manuals', collection: 'manuals', schema: manualSchema, map: mapManual, notFound: 'Manual not found' },
+};
+
+async function saveRevision(req, type, before, after) {
+  try {
+    await writeRevision(storage, REVISIONED[type].resource, before, after, actorOf(req));
+  } catch (err) {
+    logger.error('Revision write error', { err });
+  }
+}
+
+function mapRevision(rev) {
+  const { version, editedAt, replacedAt, replacedBy } = rev;
+  return { version, editedAt, replacedAt, replacedBy };
+}
+
+// Loads the record behind /:type/:id (and its revisions), or sends the error
+async function findRevisioned(req, res, config) {
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid id' });
+    return null;
+  }
+  const doc = await collections()[config.collection].findOne({ _id: new ObjectId(req.params.id), ...NOT_TRASHED });
+  if (!doc) res.status(404).json({ error: config.notFound });
+  return doc;
+}
+
+// `ref` is a version number or 'current'; returns the stored revision or null
+async function loadRevision(config, doc, ref) {
+  if (ref === 'current') {
+    return { version: 'current', editedAt: doc.updatedAt || doc.createdAt || null, data: revisionData(config.schema, doc) };
+  }
+  const version = Number(ref);
+  if (!Number.isInteger(version) || version < 1) return null;
+  return collections().revisions.findOne({ resource: config.resource, targetId: doc._id, version });
+}
+
+for (const [type, config] of Object.entries(REVISIONED)) {
+  // LIST revisions, newest first
+  app.get(`/admin-services/${type}/:id/revisions`, async (req, res) => {
+    try {
+      const doc = await findRevisioned(req, res, config);
+      if (!doc) return;
+      const docs = await collections().revisions
+        .find({ resource: config.resource, targetId: doc._id })
+        .sort({ version: -1 })
+        .toArray();
+      res.json(docs.map(mapRevision));
+    } catch (err) {
+      logger.error(`GET /${type}/:id/revisions error`, { err });
+      res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+  });
+
+  // DIFF two versions: ?from=<version>&to=<version|current> (defaults: latest revision -> current)
+  app.get(`/admin-services/${type}/:id/revisions/diff`, async (req, res) => {
+    try {
+      const doc = await findRevisioned(req, res, config);
+      if (!doc) return;
+      let { from, to = 'current' } = req.query;
+      if (from === undefined) {
+        const [latest] = await collections().revisions
+          .find({ resource: config.resource, targetId: doc._id })
+          .sort({ version: -1 })
+          .limit(1)
+          .toArray();
+        if (!latest) return res.status(404).json({ error: 'No revisions yet' });
+        from = latest.version;
+      }
+      const [a, b] = await Promise.all([loadRevision(config, doc, String(from)), loadRevision(config, doc, String(to))]);
+      if (!a || !b) return res.status(404).json({ error: 'Revision not found' });
+      res.json({ from: a.version, to: b.version, changes: auditDiff(a.data, b.data) });
+    } catch (err) {
+      logger.error(`GET /${type}/:id/revisions/diff error`, { err });
+      res.status(500).json({ error: 'Failed to diff revisions' });
+    }
+  });
+
+  // GET one revision with its content
+  app.get(`/admin-services/${type}/:id/revisions/:version`, async (req, res) => {
+    try {
+      const doc = await findRevisioned(req, res, config);
+      if (!doc) return;
+      const rev = await loadRevision(config, doc, req.params.version);
+      if (!rev || rev.version === 'current') return res.status(404).json({ error: 'Revision not found' });
+      res.json({ ...mapRevision(rev), data: rev.data });
+    } catch (err) {
+      logger.error(`GET /${type}/:id/revisions/:version error`, { err });
+      res.status(500).json({ error: 'Failed to fetch revision' });
+    }
+  });
+
+  // ROLLBACK to an earlier version
+  app.post(`/admin-services/${type}/:id/revisions/:version/rollback`, requireRole('owner', 'editor'), async (req, res) => {
+    try {
+      const before = await findRevisioned(req, res, config);
+      if (!before) return;
+      const rev = await loadRevision(config, before, req.params.version);
+      if (!rev || rev.version === 'current') return res.status(404).json({ error: 'Revision not found' });
+      if (config.resource === 'gallery_events') {
+        const categoryError = await checkEventCategory(rev.data);
+        if (categoryError) return res.status(409).json({ error: 'Revision uses a category that no longer exists', fields: categoryError });
+      }
+
+      // The slug stays as it is, so links to the record keep working
+      const { slug, ...data } = rev.data;
+      const $unset = {};
+      for (const key of Object.keys(config.schema)) {
+        if (key !== 'slug' && !(key in data)) $unset[key] = '';
+      }
+      const update = { $set: { ...data, updatedAt: new Date() } };
+      if (Object.keys($unset).length) update.$unset = $unset;
+      const after = await collections()[config.collection].findOneAndUpdate({ _id: before._id }, update, { returnDocument: 'after' });
+      if (!after) return res.status(404).json({ error: config.notFound });
+
+      await saveRevision(req, type, before, after);
+      await recordAudit(req, {
+        resource: config.resource,
+        action: 'rollback',
+        targetId: after._id,
+        before,
+        after,
+        meta: { version: rev.version },
+      });
+      res.json({ success: true, data: config.map(after) });
+    } catch (err) {
+      logger.error(`POST /${type}/:id/revisions/:version/rollback error`, { err });
+      res.status(500).json({ error: 'Failed to roll back' });
+    }
+  });
+}
+
+// SINGLE RECORDS
+// Admins load a record by id, drafts included. The public site addresses
+// published records by slug, e.g. /public/gallery-events/one-week-scientometrics-workshop-2025;
+// a slug the record has since replaced redirects to its current one.
+const PUBLIC_VIEWS = {
+  'gallery-events': { filter: PUBLISHED_EVENT_FILTER, map: mapPublicEvent },
+  'team-members': { filter: { published: true }, map: mapTeamMember },
+  'user-manuals': { filter: { published: true }, map: mapManual },
+};
+
+for (const [type, config] of Object.entries(REVISIONED)) {
+  const view = PUBLIC_VIEWS[type];
+
+  // GET one record by id
+  app.get(`/admin-services/${type}/:id`, async (req, res) => {
+    try {
+      const doc = await findRevisioned(req, res, config);
+      if (!doc) return;
+      res.json(config.map(doc));
+    } catch (err) {
+      logger.error(`GET /${type}/:id error`, { err });
+      res.status(500).json({ error: 'Failed to fetch record' });
+    }
+  });
+
+  // GET one published record by slug (public). The redirect from an old slug
+  // is only cached briefly, since the record may take that slug back.
+  app.get(`/admin-services/public/${type}/:slug`, async (req, res) => {
+    try {
+      const { slug } = req.params;
+      if (!SLUG_RULE.pattern.test(slug)) return res.status(404).json({ error: config.notFound });
+      const collection = collections()[config.collection];
+      const doc = await collection.findOne(liveFilter({ ...view.filter, slug }));
+      if (doc) return sendCacheable(req, res, view.map(doc), doc.updatedAt);
+
+      const renamed = await collection.findOne(liveFilter({ ...view.filter, previous_slugs: slug }));
+      if (!renamed) return res.status(404).json({ error: config.notFound });
+      res.set('Cache-Control', `public, max-age=${PUBLIC_CACHE_SECONDS}`);
+      res.redirect(301, `/admin-services/public/${type}/${renamed.slug}`);
+    } catch (err) {
+      logger.error(`GET /public/${type}/:slug error`, { err });
+      res.status(500).json({ error: 'Failed to fetch record' });
+    }
+  });
+}
+
+// EXPORT / IMPORT
+// GET export: the JSON bundle of all content, or ?format=csv&collection=<name>
+app.get('/admin-services/export/', requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { format = 'json', collection } = req.query;
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      if (!TRANSFER_COLLECTIONS[collection]) {
+        return res.status(400).json({ error: `collection must be one of: ${Object.keys(TRANSFER_COLLECTIONS).join(', ')}` });
+      }
+      res.set('Content-Disposition', `attachment; filename="${collection}-${stamp}.csv"`);
+      return res.type('text/csv').send(await exportCsv(storage, collection));
+    }
+    if (format !== 'json') return res.status(400).json({ error: 'format must be json or csv' });
+    res.set('Content-Disposition', `attachment; filename="metainfosci-export-${stamp}.json"`);
+    res.json(await exportBundle(storage));
+  } catch (err) {
+    logger.error('GET /export error', { err });
+    res.status(500).json({ error: 'Failed to export' });
+  }
+});
+
+// IMPORT a JSON bundle, or one collection as CSV (Content-Type: text/csv, ?collection=<name>).
+// ?dry_run=true only reports; conflicts block the import unless ?force=true.
+app.post('/admin-services/import/', requireRole('owner'), async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === 'true';
+    const force = req.query.force === 'true';
+    let bundle = req.body;
+    if (typeof req.body === 'string') {
+      const { collection } = req.query;
+      if (!TRANSFER_COLLECTIONS[collection]) {
+        return res.status(400).json({ error: `collection must be one of: ${Object.keys(TRANSFER_COLLECTIONS).join(', ')}` });
+      }
+      const parsed = recordsFromCsv(collection, req.body);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, collections: { [collection]: parsed.records } };
+    }
+
+    const plan = await planImport(storage, bundle);
+    const report = { dry_run: dryRun, applied: false, summary: plan.summary, errors: plan.errors, conflicts: plan.conflicts };
+    if (dryRun) return res.json(report);
+    if (plan.errors.length) return res.status(422).json({ error: 'Import has invalid records', ...report });
+    if (plan.conflicts.length && !force) return res.status(409).json({ error: 'Import has conflicts', ...report });
+
+    try {
+      await applyImport(storage, plan, async (op, before, after) => {
+        const type = Object.keys(REVISIONED).find((t) => REVISIONED[t].resource === op.collection);
+        if (before && type) await saveRevision(req, type, before, after);
+        await recordAudit(req, {
+          resource: op.collection,
+          action: before ? 'update' : 'create',
+          targetId: after._id,
+          before,
+          after,
+          meta: { import: true },
+        });
+      });
+    } catch (err) {
+      if (err.undone === undefined) throw err;
+      logger.error('Import write error', { err });
+      if (err.undoError) logger.error('Import undo error', { err: err.undoError });
+      const error = err.undone
+        ? 'Failed to import; nothing was written'
+        : 'Failed to import; some records may have been written, check them before retrying';
+      return res.status(500).json({ error });
+    }
+    res.json({ ...report, applied: true });
+  } catch (err) {
+    logger.error('POST /import error', { err });
+    res.status(500).json({ error: 'Failed to import' });
+  }
+});
+
+// Connects the storage, applies pending migrations and marks the app ready
+async function connect({ migrate = MIGRATE_ON_START } = {}) {
+  const selected =
+    injectedStorage ||
+    createStorage({
+      kind: STORAGE,
+      uri: MONGODB_URI,
+      dbName: DB_NAME,
+      file: STORAGE_FILE,
+      serverSelectionTimeoutMS: DB_SERVER_SELECTION_TIMEOUT_MS,
+      onSaveError: (err) => logger.error('In-memory store save error', { err }),
+    });
+  await connectWithRetry(selected, {
+    retries: DB_CONNECT_RETRIES,
+    delayMs: DB_CONNECT_RETRY_DELAY_MS,
+    onRetry: (err, attempt, waitMs) =>
+      logger.warn('Storage connection failed; retrying', { attempt, retries: DB_CONNECT_RETRIES, waitMs, err }),
+  });
+  storage = instrumentStorage(selected, (labels, seconds, ok) => {
+    dbDuration.observe(labels, seconds);
+    if (!ok) dbErrors.inc(labels);
+  });
+  if (storage.kind === 'memory') {
+    logger.info(`Using in-memory storage${STORAGE_FILE ? ` saved to ${STORAGE_FILE}` : ' (data is lost on exit)'}`);
+  } else {
+    logger.info('Connected to MongoDB', { database: DB_NAME });
+  }
+  if (migrate) await runMigrations(storage, { log: (msg) => logger.info(msg) });
+  const drift = routeDrift(app);
+  for (const route of drift.undocumented) logger.warn('Route missing from openapi.cjs', { route });
+  for (const route of drift.missing) logger.warn('openapi.cjs documents an unknown route', { route });
+  if (API_CONTRACT_CHECKS === 'strict' && (drift.undocumented.length || drift.missing.length)) {
+    throw new Error('openapi.cjs is out of sync with the routes');
+  }
+  if (lifecycle === 'starting') lifecycle = 'ready';
+}
+
+// SHUTDOWN
+// SIGTERM / SIGINT turn readiness to 'draining'. After SHUTDOWN_DRAIN_SECONDS
+// (SIGTERM only) the listener stops accepting connections, in-flight requests
+// finish and storage is closed. SHUTDOWN_TIMEOUT_SECONDS or a second signal
+// ends the process without waiting.
+function shutdown(server, signal) {
+  if (lifecycle === 'draining') {
+    logger.warn('Second shutdown signal; exiting now', { signal });
+    process.exit(1);
+  }
+  lifecycle = 'draining';
+  logger.info('Shutting down', { signal, inFlight: inFlightRequests });
+  const drainMs = signal === 'SIGTERM' ? SHUTDOWN_DRAIN_SECONDS * 1000 : 0;
+  setTimeout(() => {
+    setTimeout(() => {
+      logger.error('Shutdown timed out; exiting with requests in flight', { inFlight: inFlightRequests });
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_SECONDS * 1000).unref();
+    server.close(async () => {
+      try {
+        if (storage) await storage.close();
+      } catch (err) {
+        logger.error('Storage close error', { err });
+      }
+      logger.info('Shutdown complete');
+      process.exit(0);
+    });
+    server.closeIdleConnections();
+  }, drainMs);
+}
+
+return { app, logger, connect, shutdown, purgeExpiredTrash };
+}
+
+/**
+ * Connects `storage` (by default the configured one), applies pending
+ * migrations and returns the Express app without listening on a port, e.g. for
+ * tests. Settings are read from `env` (process.env and backend/.env by default).
+ */
+async function createApp({ storage, migrate, env = process.env } = {}) {
+  const { app, connect } = buildServer(loadConfig(env, { storageProvided: Boolean(storage) }), { storage });
+  await connect({ migrate });
+  return app;
+}
+
+async function start() {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    createLogger().error('Invalid configuration', { problems: err.problems });
+    process.exit(1);
+  }
+  const { app, logger, connect, shutdown, purgeExpiredTrash } = buildServer(config);
+
+  // Listening starts first so /health/live answers while storage connects
+  const server = app.listen(config.PORT, () => {
+    logger.info(`Server listening on http://127.0.0.1:${config.PORT}`);
+  });
+  server.on('error', (err) => {
+    logger.error('Failed to listen', { err });
+    process.exit(1);
+  });
+  for (const signal of ['SIGTERM', 'SIGINT']) process.on(signal, () => shutdown(server, signal));
+  try {
+    await connect();
+  } catch (err) {
+    logger.error('Failed to start', { err });
+    process.exit(1);
+  }
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+}
+
+if (require.main === module) start();
 
+module.exports = { createApp, createStorage };
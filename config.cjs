@@ -0,0 +1,144 @@
+// backend/config.cjs
+// Server settings read from the environment (after backend/.env is loaded).
+// loadConfig() checks every value up front and throws a ConfigError listing
+// all of the problems, so a bad deployment stops at startup rather than at the
+// first request that needs the setting. Unset or empty variables take the
+// defaults below. With `storageProvided`, the caller brings its own storage and
+// the connection settings are not required.
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function loadConfig(env = process.env, { storageProvided = false } = {}) {
+  const problems = [];
+  const read = (name) => {
+    const value = env[name];
+    return value === undefined || value.trim() === '' ? undefined : value.trim();
+  };
+  const integer = (name, fallback, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) => {
+    const raw = read(name);
+    if (raw === undefined) return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      const range = max === Number.MAX_SAFE_INTEGER ? `at least ${min}` : `between ${min} and ${max}`;
+      problems.push(`${name} must be a whole number ${range} (got "${raw}")`);
+      return fallback;
+    }
+    return value;
+  };
+  const oneOf = (name, values, fallback) => {
+    const raw = read(name);
+    if (raw === undefined) return fallback;
+    if (!values.includes(raw)) {
+      problems.push(`${name} must be one of ${values.join(', ')} (got "${raw}")`);
+      return fallback;
+    }
+    return raw;
+  };
+  const flag = (name, fallback) => {
+    const raw = read(name);
+    if (raw === undefined) return fallback;
+    const value = { true: true, 1: true, yes: true, false: false, 0: false, no: false }[raw.toLowerCase()];
+    if (value === undefined) {
+      problems.push(`${name} must be true or false (got "${raw}")`);
+      return fallback;
+    }
+    return value;
+  };
+  const url = (name) => {
+    const raw = read(name);
+    if (raw === undefined) return undefined;
+    try {
+      if (['http:', 'https:'].includes(new URL(raw).protocol)) return raw;
+    } catch (e) {}
+    problems.push(`${name} must be an http(s) URL (got "${raw}")`);
+    return undefined;
+  };
+
+  // STORAGE
+  const STORAGE = oneOf('STORAGE', ['mongodb', 'memory'], 'mongodb');
+  const MONGODB_URI = read('MONGODB_URI');
+  if (STORAGE === 'mongodb' && !storageProvided) {
+    if (!MONGODB_URI) {
+      problems.push('MONGODB_URI is required when STORAGE=mongodb (set STORAGE=memory to run without MongoDB)');
+    } else if (!/^mongodb(\+srv)?:\/\//.test(MONGODB_URI)) {
+      problems.push('MONGODB_URI must start with mongodb:// or mongodb+srv://');
+    }
+  }
+
+  // A hop count, true/false, or the address list / preset names Express accepts
+  const trustProxy = read('TRUST_PROXY');
+  const TRUST_PROXY =
+    trustProxy === undefined
+      ? undefined
+      : { true: true, false: false }[trustProxy] ?? (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
+  const config = {
+    PORT: integer('PORT', 5000, { min: 0, max: 65535 }),
+    STORAGE,
+    STORAGE_FILE: read('STORAGE_FILE'),
+    MONGODB_URI,
+    DB_NAME: read('DB_NAME') || 'metainfosci_db',
+    // Startup connection attempts after the first one fails; the wait doubles
+    // from DB_CONNECT_RETRY_DELAY_MS up to 30 seconds
+    DB_CONNECT_RETRIES: integer('DB_CONNECT_RETRIES', 10, { min: 0 }),
+    DB_CONNECT_RETRY_DELAY_MS: integer('DB_CONNECT_RETRY_DELAY_MS', 500),
+    // How long each attempt (and each operation) waits for a reachable server
+    DB_SERVER_SELECTION_TIMEOUT_MS: integer('DB_SERVER_SELECTION_TIMEOUT_MS', 10000),
+    MIGRATE_ON_START: flag('MIGRATE_ON_START', true),
+    SESSION_SECRET: read('SESSION_SECRET'),
+    SESSION_TTL_MINUTES: integer('SESSION_TTL_MINUTES', 480),
+    MEDIA_MAX_BYTES: integer('MEDIA_MAX_BYTES', 10 * 1024 * 1024),
+    IMPORT_MAX_BYTES: integer('IMPORT_MAX_BYTES', 50 * 1024 * 1024),
+    PUBLIC_CACHE_SECONDS: integer('PUBLIC_CACHE_SECONDS', 60),
+    // Public website the feeds link to (defaults to this server's own address)
+    PUBLIC_SITE_URL: (url('PUBLIC_SITE_URL') || '').replace(/\/+$/, ''),
+    SITE_NAME: read('SITE_NAME') || 'MetaInfoSci',
+    TRASH_RETENTION_DAYS: integer('TRASH_RETENTION_DAYS', 30),
+    // "name:key,..."; see INGEST_KEYS in backend.cjs
+    INSIGHTS_INGEST_KEYS: read('INSIGHTS_INGEST_KEYS') || '',
+    // See openapi.cjs
+    API_CONTRACT_CHECKS: oneOf('API_CONTRACT_CHECKS', ['off', 'warn', 'strict'], 'off'),
+    // Stored hashes with a different cost are re-hashed at the next successful login
+    BCRYPT_COST: integer('BCRYPT_COST', 12, { min: 4, max: 31 }),
+    PASSWORD_MIN_LENGTH: integer('PASSWORD_MIN_LENGTH', 10, { max: 256 }),
+    PASSWORD_MIN_CLASSES: integer('PASSWORD_MIN_CLASSES', 1, { max: 4 }),
+    PASSWORD_RESET_TTL_MINUTES: integer('PASSWORD_RESET_TTL_MINUTES', 24 * 60),
+    // Admin UI page that accepts ?token=...; reset links are only built when set
+    PASSWORD_RESET_URL: url('PASSWORD_RESET_URL'),
+    // Failures allowed per username / per IP within the window, and the first
+    // lockout's length (each repeat lockout doubles it, up to the max)
+    LOGIN_MAX_FAILURES: integer('LOGIN_MAX_FAILURES', 5),
+    LOGIN_MAX_FAILURES_PER_IP: integer('LOGIN_MAX_FAILURES_PER_IP', 20),
+    LOGIN_FAILURE_WINDOW_MINUTES: integer('LOGIN_FAILURE_WINDOW_MINUTES', 15),
+    LOGIN_LOCKOUT_MINUTES: integer('LOGIN_LOCKOUT_MINUTES', 15),
+    LOGIN_LOCKOUT_MAX_MINUTES: integer('LOGIN_LOCKOUT_MAX_MINUTES', 24 * 60),
+    // Requests per minute and client IP; 0 disables the limit
+    RATE_LIMIT_LOGINS_PER_MINUTE: integer('RATE_LIMIT_LOGINS_PER_MINUTE', 10, { min: 0 }),
+    RATE_LIMIT_WRITES_PER_MINUTE: integer('RATE_LIMIT_WRITES_PER_MINUTE', 120, { min: 0 }),
+    // Express "trust proxy" setting, needed for real client IPs behind a reverse
+    // proxy (e.g. TRUST_PROXY=1 for one proxy hop)
+    TRUST_PROXY,
+    LOG_LEVEL: oneOf('LOG_LEVEL', ['debug', 'info', 'warn', 'error'], 'info'),
+    // When set, GET /metrics requires `Authorization: Bearer <METRICS_TOKEN>`
+    METRICS_TOKEN: read('METRICS_TOKEN'),
+    // On SIGTERM, /health/ready reports "draining" for this long before the
+    // listener closes, so load balancers stop routing here first
+    SHUTDOWN_DRAIN_SECONDS: integer('SHUTDOWN_DRAIN_SECONDS', 0, { min: 0 }),
+    // In-flight requests get this long to finish before the process exits anyway
+    SHUTDOWN_TIMEOUT_SECONDS: integer('SHUTDOWN_TIMEOUT_SECONDS', 25),
+  };
+  if (config.LOGIN_LOCKOUT_MAX_MINUTES < config.LOGIN_LOCKOUT_MINUTES) {
+    problems.push('LOGIN_LOCKOUT_MAX_MINUTES must not be less than LOGIN_LOCKOUT_MINUTES');
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+}
+
+module.exports = { loadConfig, ConfigError };
@@ -0,0 +1,163 @@
+// backend/event-dates.cjs
+// Structured event dates: parsing legacy free-text dates, display strings and derived status
+//
+// Dates are calendar days stored in UTC: start_date at 00:00:00.000Z of the first
+// day and end_date at 23:59:59.999Z of the last day, so single-day events have
+// both set and an event counts as ongoing for the whole of its final day.
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function monthIndex(word) {
+  const w = word.toLowerCase().replace(/\.$/, '');
+  if (w.length < 3) return -1;
+  // "sept" is a common abbreviation that is not a prefix match of length 3
+  return MONTHS.findIndex((m) => m.startsWith(w === 'sept' ? 'sep' : w));
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function endOfDay(date) {
+  return new Date(startOfDay(date).getTime() + DAY_MS - 1);
+}
+
+// "July 14" / "18, 2025" / "30 September 2025" -> { month, day, year } (any may be missing)
+function parseDatePart(part) {
+  const out = {};
+  for (const token of part.split(/[\s,]+/).filter(Boolean)) {
+    if (/^\d{4}$/.test(token)) {
+      if (out.year !== undefined) return null;
+      out.year = Number(token);
+    } else if (/^\d{1,2}$/.test(token)) {
+      if (out.day !== undefined) return null;
+      out.day = Number(token);
+    } else {
+      const m = monthIndex(token);
+      if (m === -1 || out.month !== undefined) return null;
+      out.month = m;
+    }
+  }
+  return out;
+}
+
+function buildDate({ year, month, day }) {
+  if (year === undefined || month === undefined || day === undefined) return null;
+  const d = new Date(Date.UTC(year, month, day));
+  return d.getUTCMonth() === month && d.getUTCDate() === day ? d : null;
+}
+
+/**
+ * Parses the free-text dates used so far ("September 30, 2025",
+ * "July 14 to 18, 2025", "July 30 - August 2, 2025", "2025-09-30").
+ * Returns { start_date, end_date } or null when the text is not understood.
+ */
+function parseEventDateText(text) {
+  if (typeof text !== 'string') return null;
+  const t = text.trim().replace(/\s+/g, ' ').replace(/(\d)(st|nd|rd|th)\b/gi, '$1');
+  if (!t) return null;
+
+  const iso = /^(\d{4}-\d{2}-\d{2})(?:\s*(?:to|-|–|—)\s*(\d{4}-\d{2}-\d{2}))?$/i.exec(t);
+  let start;
+  let end;
+  if (iso) {
+    start = new Date(`${iso[1]}T00:00:00.000Z`);
+    end = new Date(`${iso[2] || iso[1]}T00:00:00.000Z`);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return null;
+  } else {
+    const parts = t.split(/\s*(?:\bto\b|\buntil\b|–|—|\s-\s|(?<=\d)-(?=\s*\d)|(?<=\d)-(?=\s*[A-Za-z]))\s*/i);
+    if (parts.length > 2) return null;
+    const a = parseDatePart(parts[0]);
+    const b = parts.length === 2 ? parseDatePart(parts[1]) : null;
+    if (!a || (parts.length === 2 && !b)) return null;
+
+    if (b) {
+      // "July 14 to 18, 2025" / "14 to 18 July 2025": fill the missing month
+      // or year on either side from the other
+      if (b.month === undefined) b.month = a.month;
+      if (a.month === undefined) a.month = b.month;
+      if (a.year === undefined) a.year = b.year;
+      if (b.year === undefined) b.year = a.year;
+    }
+    start = buildDate(a);
+    end = b ? buildDate(b) : start;
+  }
+
+  if (!start || !end || end < start) return null;
+  return { start_date: startOfDay(start), end_date: endOfDay(end) };
+}
+
+const monthName = (d) => MONTHS[d.getUTCMonth()].replace(/^./, (c) => c.toUpperCase());
+
+/**
+ * Human-readable display string in the style of the existing records:
+ * "September 30, 2025", "July 14 to 18, 2025", "July 30 to August 2, 2025".
+ */
+function formatEventDateRange(start, end) {
+  if (!(start instanceof Date)) return '';
+  const s = startOfDay(start);
+  const e = end instanceof Date ? startOfDay(end) : s;
+  const y1 = s.getUTCFullYear();
+  const y2 = e.getUTCFullYear();
+  if (s.getTime() === e.getTime()) return `${monthName(s)} ${s.getUTCDate()}, ${y1}`;
+  if (y1 !== y2) return `${monthName(s)} ${s.getUTCDate()}, ${y1} to ${monthName(e)} ${e.getUTCDate()}, ${y2}`;
+  if (s.getUTCMonth() === e.getUTCMonth()) return `${monthName(s)} ${s.getUTCDate()} to ${e.getUTCDate()}, ${y1}`;
+  return `${monthName(s)} ${s.getUTCDate()} to ${monthName(e)} ${e.getUTCDate()}, ${y1}`;
+}
+
+/**
+ * Fills in an event payload's structured dates and display string. Explicit
+ * start_date/end_date win; otherwise a changed free-text `date` is parsed.
+ * `before` is the stored event when updating. Returns `{ value }` or `{ errors }`.
+ */
+function resolveEventDates(value, before = {}) {
+  const out = { ...value };
+
+  if ('start_date' in value || 'end_date' in value) {
+    const previous = (key) => (before[key] instanceof Date ? before[key] : null);
+    const start = 'start_date' in value ? value.start_date : previous('start_date');
+    let end = 'end_date' in value ? value.end_date : previous('end_date');
+    if (!start) {
+      if (end) return { errors: { start_date: 'is required when end_date is set' } };
+    } else if (!end || (!('end_date' in value) && end < start)) {
+      end = endOfDay(start);
+    } else if (end < start) {
+      return { errors: { end_date: 'must not be before start_date' } };
+    }
+    out.start_date = start;
+    out.end_date = start ? end : null;
+    if (!('date' in value)) out.date = formatEventDateRange(start, end);
+  } else if ('date' in value) {
+    // Text the parser does not understand (e.g. "TBA") leaves the event undated
+    const parsed = parseEventDateText(value.date);
+    out.start_date = parsed ? parsed.start_date : null;
+    out.end_date = parsed ? parsed.end_date : null;
+  }
+
+  return { value: out };
+}
+
+/**
+ * 'Upcoming' | 'Ongoing' | 'Concluded' from start_date/end_date; events without
+ * structured dates keep whatever status was stored by hand.
+ */
+function deriveEventStatus(doc, now = new Date()) {
+  if (!(doc.start_date instanceof Date)) return doc.status || '';
+  const end = doc.end_date instanceof Date ? doc.end_date : endOfDay(doc.start_date);
+  if (now < doc.start_date) return 'Upcoming';
+  if (now <= end) return 'Ongoing';
+  return 'Concluded';
+}
+
+module.exports = {
+  endOfDay,
+  parseEventDateText,
+  formatEventDateRange,
+  resolveEventDates,
+  deriveEventStatus,
+};
@@ -0,0 +1,157 @@
+// backend/feeds.cjs
+// Calendar (iCalendar, RFC 5545) and syndication (RSS 2.0, Atom) documents for
+// the public feed routes. backend.cjs selects the records and maps them to the
+// plain entries described below; this module only formats them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ICALENDAR
+function icsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 20250930
+function icsDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// 20250930T101500Z
+function icsDateTime(date) {
+  return `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+}
+
+// Lines longer than 75 octets continue on the next line after a space; a
+// multi-byte character is never split.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Builds a VCALENDAR of all-day events. Each entry is
+ * `{ uid, title, description, location, url, categories, start, end, updated }`
+ * where `start`/`end` are the first and last day (end inclusive).
+ */
+function icsCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MetaInfoSci//Gallery Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+  ];
+  for (const event of events) {
+    const end = event.end && event.end >= event.start ? event.end : event.start;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${icsDateTime(event.updated || now)}`,
+      ...(event.updated ? [`LAST-MODIFIED:${icsDateTime(event.updated)}`] : []),
+      `DTSTART;VALUE=DATE:${icsDate(event.start)}`,
+      // DTEND of an all-day event is the day after the last one
+      `DTEND;VALUE=DATE:${icsDate(new Date(Date.parse(end.toISOString().slice(0, 10)) + DAY_MS))}`,
+      `SUMMARY:${icsText(event.title)}`,
+      ...(event.description ? [`DESCRIPTION:${icsText(event.description)}`] : []),
+      ...(event.location ? [`LOCATION:${icsText(event.location)}`] : []),
+      ...(event.url ? [`URL:${event.url}`] : []),
+      ...(event.categories && event.categories.length ? [`CATEGORIES:${event.categories.map(icsText).join(',')}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// RSS / ATOM
+// Entries are `{ id, title, summary, link, category, published, updated }`;
+// `id` is a globally unique, stable URI.
+function xml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function rssFeed({ title, description, link, selfUrl, items, now = new Date() }) {
+  const lastBuild = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), items[0]?.updated || now);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `<title>${xml(title)}</title>`,
+    `<link>${xml(link)}</link>`,
+    `<description>${xml(description)}</description>`,
+    `<atom:link href="${xml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `<lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>`,
+  ];
+  for (const item of items) {
+    lines.push(
+      '<item>',
+      `<title>${xml(item.title)}</title>`,
+      ...(item.link ? [`<link>${xml(item.link)}</link>`] : []),
+      `<guid isPermaLink="false">${xml(item.id)}</guid>`,
+      `<pubDate>${item.published.toUTCString()}</pubDate>`,
+      ...(item.category ? [`<category>${xml(item.category)}</category>`] : []),
+      ...(item.summary ? [`<description>${xml(item.summary)}</description>`] : []),
+      '</item>'
+    );
+  }
+  lines.push('</channel>', '</rss>');
+  return `${lines.join('\n')}\n`;
+}
+
+function atomFeed({ id, title, link, selfUrl, items, now = new Date() }) {
+  const updated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), items[0]?.updated || now);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${xml(id)}</id>`,
+    `<title>${xml(title)}</title>`,
+    `<updated>${updated.toISOString()}</updated>`,
+    `<link rel="alternate" href="${xml(link)}"/>`,
+    `<link rel="self" type="application/atom+xml" href="${xml(selfUrl)}"/>`,
+    `<author><name>${xml(title)}</name></author>`,
+  ];
+  for (const item of items) {
+    lines.push(
+      '<entry>',
+      `<id>${xml(item.id)}</id>`,
+      `<title>${xml(item.title)}</title>`,
+      `<published>${item.published.toISOString()}</published>`,
+      `<updated>${item.updated.toISOString()}</updated>`,
+      ...(item.link ? [`<link rel="alternate" href="${xml(item.link)}"/>`] : []),
+      ...(item.category ? [`<category term="${xml(item.category)}"/>`] : []),
+      ...(item.summary ? [`<summary>${xml(item.summary)}</summary>`] : []),
+      '</entry>'
+    );
+  }
+  lines.push('</feed>');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { icsCalendar, rssFeed, atomFeed };
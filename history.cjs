@@ -0,0 +1,75 @@
+// backend/history.cjs
+// Audit entries and content revisions, written by the routes in backend.cjs
+// and by command-line imports (transfer-data.cjs), so both keep the same record.
+
+const { eventSchema, teamMemberSchema, manualSchema } = require('./schemas.cjs');
+
+// Fields whose values must never be copied into audit entries
+const AUDIT_REDACTED = ['passwordHash'];
+
+// Collections whose updates keep the version they replaced
+const REVISION_SCHEMAS = {
+  gallery_events: eventSchema,
+  team_members: teamMemberSchema,
+  user_manuals: manualSchema,
+};
+
+function auditDiff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (key === '_id' || key === 'updatedAt') continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes[key] = AUDIT_REDACTED.includes(key) ? { redacted: true } : { from: from ?? null, to: to ?? null };
+  }
+  return changes;
+}
+
+/**
+ * Records a mutation in `audit_log`. `actor` is { id, username } or null for
+ * the bootstrap request and background jobs; `meta` carries extra context,
+ * e.g. the number of records a bulk update touched.
+ */
+async function writeAudit(db, { resource, action, targetId, actor = null, before = null, after = null, meta }) {
+  await db.collection('audit_log').insertOne({
+    resource,
+    action,
+    targetId: targetId ? targetId.toString() : null,
+    actor,
+    changes: auditDiff(before, after),
+    ...(meta ? { meta } : {}),
+    at: new Date(),
+  });
+}
+
+// The editable fields of a record, i.e. what a rollback restores
+function revisionData(schema, doc) {
+  const data = {};
+  for (const key of Object.keys(schema)) {
+    if (doc[key] !== undefined) data[key] = doc[key];
+  }
+  return data;
+}
+
+// Keeps `before` as the next revision of the record, numbered from 1, unless
+// `after` left its editable fields unchanged
+async function writeRevision(db, resource, before, after, actor = null) {
+  const schema = REVISION_SCHEMAS[resource];
+  const data = revisionData(schema, before);
+  if (Object.keys(auditDiff(data, revisionData(schema, after))).length === 0) return;
+  const revisions = db.collection('content_revisions');
+  const [latest] = await revisions.find({ resource, targetId: before._id }).sort({ version: -1 }).limit(1).toArray();
+  await revisions.insertOne({
+    resource,
+    targetId: before._id,
+    version: latest ? latest.version + 1 : 1,
+    data,
+    editedAt: before.updatedAt || before.createdAt || null,
+    replacedAt: new Date(),
+    replacedBy: actor,
+  });
+}
+
+module.exports = { REVISION_SCHEMAS, auditDiff, writeAudit, revisionData, writeRevision };
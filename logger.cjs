@@ -0,0 +1,45 @@
+// backend/logger.cjs
+// JSON-lines logging. Each line is one object: { time, level, msg, ...fields },
+// plus the requestId of the request being handled when there is one (tracked
+// with AsyncLocalStorage, so code deep inside a route needs no plumbing).
+// LOG_LEVEL picks the lowest level written: debug | info (default) | warn | error.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+// Errors become plain fields; JSON.stringify would otherwise drop them to {}
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined ? { code: err.code } : {}),
+    stack: err.stack,
+  };
+}
+
+/**
+ * Returns { debug, info, warn, error }, each `(msg, fields?)`. An Error passed
+ * as `fields` (or as `fields.err`) is serialized under `err`. `onLog(level)` is
+ * called for every line written, e.g. to count errors.
+ */
+function createLogger({ level = 'info', stream = process.stdout, onLog = () => {} } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const logger = {};
+  for (const [name, value] of Object.entries(LEVELS)) {
+    logger[name] = (msg, fields = {}) => {
+      if (value < threshold) return;
+      const extra = fields instanceof Error ? { err: fields } : fields;
+      const entry = { time: new Date().toISOString(), level: name, msg, ...requestContext.getStore(), ...extra };
+      if (entry.err) entry.err = serializeError(entry.err);
+      onLog(name);
+      stream.write(`${JSON.stringify(entry)}\n`);
+    };
+  }
+  return logger;
+}
+
+module.exports = { createLogger, requestContext };
@@ -0,0 +1,621 @@
+// backend/memory-store.cjs
+// In-memory stand-in for the part of the MongoDB driver the server uses:
+// collections with find/sort/skip/limit, the query and update operators that
+// appear in the routes, unique indexes and a GridFS-style bucket. Data can be
+// persisted to a JSON (Extended JSON) file between restarts.
+//
+// Meant for local development and tests. Unique indexes honour a
+// partialFilterExpression; TTL indexes are accepted but not enforced, $text
+// scoring only approximates MongoDB's, and operators outside the supported set
+// throw instead of silently matching nothing.
+
+const fs = require('fs');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { ObjectId, Binary, BSON } = require('mongodb');
+
+// Plain objects and arrays are copied; ObjectId, Binary, RegExp and primitives
+// are immutable as far as the server is concerned and are shared.
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = clone(value[key]);
+    return copy;
+  }
+  return value;
+}
+
+function getPath(doc, key) {
+  return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), doc);
+}
+
+function setPath(doc, key, value) {
+  const parts = key.split('.');
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] === null || typeof target[part] !== 'object') target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, key) {
+  const parts = key.split('.');
+  const parent = parts.length > 1 ? getPath(doc, parts.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+}
+
+// Comparable form of a value: ObjectIds by hex string, dates by timestamp
+function comparable(value) {
+  if (value instanceof ObjectId) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function equals(a, b) {
+  if (b === null) return a === null || a === undefined;
+  if (Array.isArray(a) && !Array.isArray(b)) return a.some((item) => equals(item, b));
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return true;
+  return typeof x === 'object' && typeof y === 'object' && JSON.stringify(x) === JSON.stringify(y);
+}
+
+// Missing and null sort first, as in MongoDB
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+function matchesRegex(value, regex) {
+  if (Array.isArray(value)) return value.some((item) => matchesRegex(item, regex));
+  return typeof value === 'string' && regex.test(value);
+}
+
+function matchesOperators(value, condition) {
+  for (const [op, arg] of Object.entries(condition)) {
+    switch (op) {
+      case '$eq':
+        if (!equals(value, arg)) return false;
+        break;
+      case '$ne':
+        if (equals(value, arg)) return false;
+        break;
+      case '$in':
+        if (!arg.some((item) => (item instanceof RegExp ? matchesRegex(value, item) : equals(value, item)))) return false;
+        break;
+      case '$nin':
+        if (arg.some((item) => equals(value, item))) return false;
+        break;
+      case '$gt':
+        if (value === undefined || value === null || compare(value, arg) <= 0) return false;
+        break;
+      case '$gte':
+        if (value === undefined || value === null || compare(value, arg) < 0) return false;
+        break;
+      case '$lt':
+        if (value === undefined || value === null || compare(value, arg) >= 0) return false;
+        break;
+      case '$lte':
+        if (value === undefined || value === null || compare(value, arg) > 0) return false;
+        break;
+      case '$exists':
+        if ((value !== undefined) !== Boolean(arg)) return false;
+        break;
+      case '$regex': {
+        const regex = arg instanceof RegExp ? arg : new RegExp(arg, condition.$options || '');
+        if (!matchesRegex(value, regex)) return false;
+        break;
+      }
+      case '$options':
+        break;
+      default:
+        throw new Error(`Query operator ${op} is not supported by the in-memory store`);
+    }
+  }
+  return true;
+}
+
+function duplicateKeyError(collectionName, indexName) {
+  const err = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${indexName}`);
+  err.code = 11000;
+  return err;
+}
+
+function isOperatorObject(value) {
+  return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype && Object.keys(value).some((k) => k.startsWith('$'));
+}
+
+function matches(doc, filter = {}) {
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and') {
+      if (!condition.every((f) => matches(doc, f))) return false;
+    } else if (key === '$or') {
+      if (!condition.some((f) => matches(doc, f))) return false;
+    } else if (key === '$nor') {
+      if (condition.some((f) => matches(doc, f))) return false;
+    } else if (key.startsWith('$')) {
+      throw new Error(`Query operator ${key} is not supported by the in-memory store`);
+    } else {
+      const value = getPath(doc, key);
+      if (condition instanceof RegExp) {
+        if (!matchesRegex(value, condition)) return false;
+      } else if (isOperatorObject(condition)) {
+        if (!matchesOperators(value, condition)) return false;
+      } else if (!equals(value, condition)) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+function applyUpdate(doc, update) {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$set':
+          setPath(doc, key, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, key);
+          break;
+        case '$inc':
+          setPath(doc, key, (getPath(doc, key) || 0) + value);
+          break;
+        case '$push': {
+          const list = getPath(doc, key) || [];
+          list.push(clone(value));
+          setPath(doc, key, list);
+          break;
+        }
+        case '$pull':
+          setPath(doc, key, (getPath(doc, key) || []).filter((item) => !equals(item, value)));
+          break;
+        default:
+          throw new Error(`Update operator ${op} is not supported by the in-memory store`);
+      }
+    }
+  }
+}
+
+// TEXT SEARCH
+// $text uses the collection's text index (key values 'text', optional
+// `weights`). Words are lowercased, stripped of accents and stop words and
+// crudely stemmed; any word may match, "quoted phrases" must all appear and
+// -words exclude a document. The score is the field weight times a term
+// frequency factor per matching word, close enough to MongoDB's textScore for
+// ranking in development.
+const STOP_WORDS = new Set(
+  'a an and are as at be by can do for from has have how i in is it its of on or that the this to was what when where which who why will with you your'.split(' ')
+);
+
+function normalizeText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function textTerms(text) {
+  return (normalizeText(text).match(/[a-z0-9]+/g) || []).filter((w) => !STOP_WORDS.has(w)).map(stem);
+}
+
+function parseTextSearch(search) {
+  const source = String(search || '');
+  const phrases = [...source.matchAll(/"([^"]*)"/g)].map((m) => normalizeText(m[1]).trim()).filter(Boolean);
+  const words = source.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+  return {
+    phrases,
+    terms: new Set([...phrases.flatMap(textTerms), ...words.filter((w) => !w.startsWith('-')).flatMap(textTerms)]),
+    excluded: new Set(words.filter((w) => w.startsWith('-')).flatMap((w) => textTerms(w.slice(1)))),
+  };
+}
+
+// 0 when `doc` does not match
+function textScore(doc, index, search) {
+  const fieldText = (field) => [].concat(getPath(doc, field) ?? []).filter((v) => typeof v === 'string').join(' ');
+  const fields = Object.keys(index.key).filter((field) => index.key[field] === 'text');
+  let score = 0;
+  for (const field of fields) {
+    const terms = textTerms(fieldText(field));
+    if (terms.some((t) => search.excluded.has(t))) return 0;
+    const weight = (index.weights && index.weights[field]) || 1;
+    for (const term of search.terms) {
+      const count = terms.filter((t) => t === term).length;
+      if (count) score += weight * (0.5 + (0.5 * count) / terms.length);
+    }
+  }
+  if (search.phrases.length) {
+    const all = normalizeText(fields.map(fieldText).join('\n'));
+    if (!search.phrases.every((phrase) => all.includes(phrase))) return 0;
+  }
+  return score;
+}
+
+const isTextScoreMeta = (value) => Boolean(value) && value.$meta === 'textScore';
+
+// `scoreOf(doc)` supplies { $meta: 'textScore' } sort keys, which sort descending
+function sortDocs(docs, sort, scoreOf = () => 0) {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) return docs;
+  return docs.slice().sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = isTextScoreMeta(direction) ? scoreOf(b) - scoreOf(a) : compare(getPath(a, key), getPath(b, key)) * direction;
+      if (order) return order;
+    }
+    return 0;
+  });
+}
+
+function project(doc, projection, score) {
+  const keys = Object.keys(projection || {}).filter((k) => !isTextScoreMeta(projection[k]));
+  const metaKeys = Object.keys(projection || {}).filter((k) => isTextScoreMeta(projection[k]));
+  let out = doc;
+  const included = keys.filter((k) => projection[k] && k !== '_id');
+  if (included.length) {
+    out = projection._id === 0 ? {} : { _id: doc._id };
+    for (const key of included) {
+      const value = getPath(doc, key);
+      if (value !== undefined) setPath(out, key, value);
+    }
+  } else {
+    for (const key of keys) unsetPath(doc, key);
+  }
+  for (const key of metaKeys) out[key] = score;
+  return out;
+}
+
+class MemoryCursor {
+  constructor(collection, filter, options = {}) {
+    this.collection = collection;
+    this.filter = filter;
+    this.options = { skip: 0, limit: 0, ...options };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(n) {
+    this.options.skip = n;
+    return this;
+  }
+
+  limit(n) {
+    this.options.limit = n;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    const { sort, skip, limit, projection } = this.options;
+    const scores = new Map();
+    const scoreOf = (doc) => scores.get(doc) || 0;
+    const found = sortDocs(this.collection.select(this.filter, scores), sort, scoreOf);
+    const page = found.slice(skip, limit ? skip + limit : undefined);
+    return page.map((doc) => project(clone(doc), projection, scoreOf(doc)));
+  }
+
+  async next() {
+    this.options.limit = 1;
+    const [doc] = await this.toArray();
+    return doc || null;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+}
+
+class MemoryCollection {
+  constructor(name, onChange) {
+    this.collectionName = name;
+    this.docs = [];
+    this.indexSpecs = [];
+    this.onChange = onChange;
+  }
+
+  checkUnique(doc, replacing) {
+    if (this.docs.some((other) => other !== replacing && equals(other._id, doc._id))) {
+      throw duplicateKeyError(this.collectionName, '_id_');
+    }
+    for (const { name, key, unique, partialFilterExpression: partial } of this.indexSpecs) {
+      if (!unique || (partial && !matches(doc, partial))) continue;
+      const fields = Object.keys(key);
+      const clashes = (other) =>
+        other !== replacing && (!partial || matches(other, partial)) && fields.every((f) => equals(getPath(other, f), getPath(doc, f)));
+      if (this.docs.some(clashes)) {
+        throw duplicateKeyError(this.collectionName, name);
+      }
+    }
+  }
+
+  // Applies `update` to a copy first so a unique-index clash leaves `doc` untouched
+  updateDoc(doc, update) {
+    const next = clone(doc);
+    applyUpdate(next, update);
+    this.checkUnique(next, doc);
+    for (const key of Object.keys(doc)) delete doc[key];
+    Object.assign(doc, next);
+  }
+
+  // Documents matching `filter`. A top-level $text is matched against the text
+  // index, and each document's score is recorded in `scores`.
+  select(filter, scores = new Map()) {
+    const { $text, ...rest } = filter;
+    if (!$text) return this.docs.filter((d) => matches(d, rest));
+    const index = this.indexSpecs.find((spec) => Object.values(spec.key).includes('text'));
+    if (!index) throw new Error(`text index required for $text query (collection ${this.collectionName})`);
+    const search = parseTextSearch($text.$search);
+    return this.docs.filter((d) => {
+      if (!matches(d, rest)) return false;
+      const score = textScore(d, index, search);
+      if (score) scores.set(d, score);
+      return score > 0;
+    });
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(this, filter, options);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.find(filter, options).next();
+  }
+
+  async countDocuments(filter = {}) {
+    return this.select(filter).length;
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    this.onChange();
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (let i = 0; i < docs.length; i++) insertedIds[i] = (await this.insertOne(docs[i])).insertedId;
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(filter, update) {
+    const doc = this.docs.find((d) => matches(d, filter));
+    if (!doc) return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    this.updateDoc(doc, update);
+    this.onChange();
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.docs.filter((d) => matches(d, filter));
+    for (const doc of docs) this.updateDoc(doc, update);
+    if (docs.length) this.onChange();
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const doc = sortDocs(this.docs.filter((d) => matches(d, filter)), options.sort)[0];
+    if (!doc) return null;
+    const before = clone(doc);
+    this.updateDoc(doc, update);
+    this.onChange();
+    return options.returnDocument === 'after' ? clone(doc) : before;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const doc = sortDocs(this.docs.filter((d) => matches(d, filter)), options.sort)[0];
+    if (!doc) return null;
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    this.onChange();
+    return doc;
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex((d) => matches(d, filter));
+    if (index === -1) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(index, 1);
+    this.onChange();
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter((d) => !matches(d, filter));
+    const deletedCount = before - this.docs.length;
+    if (deletedCount) this.onChange();
+    return { acknowledged: true, deletedCount };
+  }
+
+  async bulkWrite(operations) {
+    let modifiedCount = 0;
+    for (const op of operations) {
+      if (op.updateOne) modifiedCount += (await this.updateOne(op.updateOne.filter, op.updateOne.update)).modifiedCount;
+      else if (op.insertOne) await this.insertOne(op.insertOne.document);
+      else if (op.deleteOne) await this.deleteOne(op.deleteOne.filter);
+      else throw new Error(`Bulk operation ${Object.keys(op)[0]} is not supported by the in-memory store`);
+    }
+    return { acknowledged: true, modifiedCount };
+  }
+
+  async createIndex(key, options = {}) {
+    const name = options.name || Object.entries(key).map(([k, v]) => `${k}_${v}`).join('_');
+    if (this.indexSpecs.some((spec) => spec.name === name)) return name;
+    if (options.unique) {
+      const seen = new Set();
+      for (const doc of this.docs) {
+        if (options.partialFilterExpression && !matches(doc, options.partialFilterExpression)) continue;
+        const value = JSON.stringify(Object.keys(key).map((f) => comparable(getPath(doc, f)) ?? null));
+        if (seen.has(value)) throw duplicateKeyError(this.collectionName, name);
+        seen.add(value);
+      }
+    }
+    this.indexSpecs.push({ name, key, ...options });
+    this.onChange();
+    return name;
+  }
+
+  async createIndexes(specs) {
+    const names = [];
+    for (const { key, ...options } of specs) names.push(await this.createIndex(key, options));
+    return names;
+  }
+}
+
+// GridFS-compatible bucket; each file's bytes are kept in a single chunk
+class MemoryBucket {
+  constructor(store, bucketName) {
+    this.files = store.collection(`${bucketName}.files`);
+    this.chunks = store.collection(`${bucketName}.chunks`);
+  }
+
+  openUploadStream(filename, options = {}) {
+    const id = new ObjectId();
+    const parts = [];
+    const { files, chunks } = this;
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        parts.push(chunk);
+        callback();
+      },
+      final(callback) {
+        const data = Buffer.concat(parts);
+        chunks
+          .insertOne({ files_id: id, n: 0, data: new Binary(data) })
+          .then(() => files.insertOne({
+            _id: id,
+            length: data.length,
+            chunkSize: data.length,
+            uploadDate: new Date(),
+            filename,
+            metadata: options.metadata,
+          }))
+          .then(() => callback(), callback);
+      },
+    });
+    stream.id = id;
+    return stream;
+  }
+
+  openDownloadStream(id, options = {}) {
+    const { chunks } = this;
+    let done = false;
+    return new Readable({
+      read() {
+        if (done) return;
+        done = true;
+        chunks.findOne({ files_id: id }).then((chunk) => {
+          if (!chunk) {
+            this.destroy(new Error(`FileNotFound: file ${id} was not found`));
+            return;
+          }
+          const data = Buffer.from(chunk.data.buffer);
+          this.push(data.subarray(options.start || 0, options.end === undefined ? data.length : options.end));
+          this.push(null);
+        }, (err) => this.destroy(err));
+      },
+    });
+  }
+
+  find(filter = {}) {
+    return this.files.find(filter);
+  }
+
+  async delete(id) {
+    const { deletedCount } = await this.files.deleteOne({ _id: id });
+    await this.chunks.deleteMany({ files_id: id });
+    if (!deletedCount) throw new Error(`File not found for id ${id}`);
+  }
+}
+
+/**
+ * A database held in memory. With `file`, the data is loaded from that path on
+ * connect() and written back (debounced, atomically via rename) after changes
+ * and on close(). A failed background write is passed to `onSaveError(err)`;
+ * the one in close() throws.
+ */
+class MemoryStore {
+  constructor({ file, onSaveError = () => {} } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.onSaveError = onSaveError;
+    this.collections = new Map();
+    this.saveTimer = null;
+    this.scheduleSave = this.scheduleSave.bind(this);
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name, this.scheduleSave));
+    return this.collections.get(name);
+  }
+
+  bucket(name) {
+    return new MemoryBucket(this, name);
+  }
+
+  async connect() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    const data = BSON.EJSON.parse(fs.readFileSync(this.file, 'utf8'), { relaxed: true });
+    for (const [name, { docs, indexes }] of Object.entries(data.collections || {})) {
+      const collection = this.collection(name);
+      collection.docs = docs;
+      collection.indexSpecs = indexes || [];
+    }
+  }
+
+  async ping() {
+    return { ok: 1 };
+  }
+
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.save();
+      } catch (err) {
+        this.onSaveError(err);
+      }
+    }, 100);
+  }
+
+  save() {
+    const collections = {};
+    for (const [name, collection] of this.collections) {
+      collections[name] = { docs: collection.docs, indexes: collection.indexSpecs };
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, BSON.EJSON.stringify({ collections }, { relaxed: true }));
+    fs.renameSync(tmp, this.file);
+  }
+
+  async close() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (this.file) this.save();
+  }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,157 @@
+// backend/metrics.cjs
+// In-process counters and histograms rendered in the Prometheus text
+// exposition format for GET /metrics. Values are per process and reset on restart.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const values = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...values].map(([key, { labels, value }]) => `${name}${labelText(labels)} ${value}`),
+    });
+    return {
+      inc(labels = {}, by = 1) {
+        const key = labelText(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += by;
+        values.set(key, entry);
+      },
+    };
+  }
+
+  function histogram(name, help, buckets = DURATION_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => {
+        const out = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((le, i) => out.push(`${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`));
+          out.push(`${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+          out.push(`${name}_sum${labelText(labels)} ${sum}`);
+          out.push(`${name}_count${labelText(labels)} ${count}`);
+        }
+        return out;
+      },
+    });
+    return {
+      observe(labels, value) {
+        const key = labelText(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+    };
+  }
+
+  // Read when rendered rather than recorded
+  function gauge(name, help, read) {
+    metrics.push({ name, help, type: 'gauge', lines: () => [`${name} ${read()}`] });
+  }
+
+  function render() {
+    const out = [];
+    for (const metric of metrics) {
+      out.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines());
+    }
+    return `${out.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+// Collection methods timed by instrumentStorage(); find() is timed when its
+// cursor is read.
+const TIMED_OPERATIONS = [
+  'findOne',
+  'countDocuments',
+  'insertOne',
+  'insertMany',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany',
+  'bulkWrite',
+  'createIndex',
+  'createIndexes',
+];
+const CURSOR_READS = ['toArray', 'next'];
+
+function timed(fn, self, args, done) {
+  const started = process.hrtime.bigint();
+  const finish = (ok) => done(Number(process.hrtime.bigint() - started) / 1e9, ok);
+  return fn.apply(self, args).then(
+    (result) => {
+      finish(true);
+      return result;
+    },
+    (err) => {
+      finish(false);
+      throw err;
+    }
+  );
+}
+
+/**
+ * Wraps a storage (see storage.cjs) so every collection operation reports
+ * `observe({ collection, operation }, seconds, ok)`.
+ */
+function instrumentStorage(storage, observe) {
+  const wrapCursor = (cursor, collection) =>
+    new Proxy(cursor, {
+      get(target, prop, receiver) {
+        const value = Reflect.get(target, prop, receiver);
+        if (typeof value !== 'function') return value;
+        if (CURSOR_READS.includes(prop)) {
+          return (...args) => timed(value, target, args, (s, ok) => observe({ collection, operation: 'find' }, s, ok));
+        }
+        // sort() / skip() / limit() return the cursor itself; keep the wrapper in the chain
+        return (...args) => {
+          const result = value.apply(target, args);
+          return result === target ? receiver : result;
+        };
+      },
+    });
+
+  return {
+    ...storage,
+    collection(name) {
+      const collection = storage.collection(name);
+      return new Proxy(collection, {
+        get(target, prop, receiver) {
+          const value = Reflect.get(target, prop, receiver);
+          if (typeof value !== 'function') return value;
+          if (prop === 'find') return (...args) => wrapCursor(value.apply(target, args), name);
+          if (!TIMED_OPERATIONS.includes(prop)) return value.bind(target);
+          return (...args) => timed(value, target, args, (s, ok) => observe({ collection: name, operation: prop }, s, ok));
+        },
+      });
+    },
+  };
+}
+
+module.exports = { createRegistry, instrumentStorage };
@@ -0,0 +1,128 @@
+// backend/migrate.cjs
+// Versioned database migrations. Each file in migrations/ runs once, in name
+// order, and is recorded in the `migrations` collection. The server applies
+// pending migrations at startup (unless MIGRATE_ON_START=false); the command
+// line does the same on demand:
+//
+//   node migrate.cjs            apply pending migrations
+//   node migrate.cjs --status   list applied and pending migrations
+//   node migrate.cjs --seed     also apply optional migrations (demo content)
+//
+// A migration module exports { description, optional?, up(db, { log }) }, where
+// `db` is a storage from storage.cjs, and should be safe to re-run, since a
+// failed run is not recorded.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+-[\w-]+\.cjs$/.test(file))
+    .sort()
+    .map((file) => ({ name: file.replace(/\.cjs$/, ''), ...require(path.join(MIGRATIONS_DIR, file)) }));
+}
+
+async function migrationStatus(db) {
+  const records = new Map((await db.collection('migrations').find({}).toArray()).map((r) => [r._id, r]));
+  return loadMigrations().map(({ name, description, optional }) => {
+    const record = records.get(name);
+    return {
+      name,
+      description,
+      optional: Boolean(optional),
+      status: record ? record.status : 'pending',
+      appliedAt: record?.appliedAt || null,
+    };
+  });
+}
+
+/**
+ * Applies pending migrations in order and returns the names of those applied.
+ * Optional migrations only run with `seed: true`. Stops at the first failure.
+ */
+async function runMigrations(db, { seed = false, log = console.log } = {}) {
+  const collection = db.collection('migrations');
+  const records = new Map((await collection.find({}).toArray()).map((r) => [r._id, r]));
+  const applied = [];
+
+  for (const migration of loadMigrations()) {
+    const record = records.get(migration.name);
+    if (record && record.status === 'applied') continue;
+    if (record) {
+      throw new Error(
+        `Migration ${migration.name} did not finish (started ${record.startedAt.toISOString()}); ` +
+          'check the data and delete its document from `migrations` to retry'
+      );
+    }
+    if (migration.optional && !seed) continue;
+
+    // Claiming the record first keeps two starting instances from running the same migration
+    const startedAt = new Date();
+    try {
+      await collection.insertOne({ _id: migration.name, status: 'running', startedAt });
+    } catch (err) {
+      if (err.code === 11000) {
+        log(`Migration ${migration.name} is being applied by another process; stopping`);
+        break;
+      }
+      throw err;
+    }
+
+    log(`Applying migration ${migration.name}: ${migration.description}`);
+    try {
+      await migration.up(db, { log });
+    } catch (err) {
+      await collection.deleteOne({ _id: migration.name });
+      throw new Error(`Migration ${migration.name} failed: ${err.message}`);
+    }
+    const appliedAt = new Date();
+    await collection.updateOne(
+      { _id: migration.name },
+      { $set: { status: 'applied', appliedAt, durationMs: appliedAt - startedAt } }
+    );
+    applied.push(migration.name);
+  }
+  return applied;
+}
+
+module.exports = { runMigrations, migrationStatus };
+
+if (require.main === module) {
+  const dotenv = require('dotenv');
+  const { createStorage } = require('./storage.cjs');
+  const { loadConfig } = require('./config.cjs');
+  dotenv.config({ path: path.join(__dirname, '.env') });
+
+  (async () => {
+    let storage;
+    try {
+      // Same settings and checks as the server
+      const config = loadConfig();
+      storage = createStorage({
+        kind: config.STORAGE,
+        uri: config.MONGODB_URI,
+        dbName: config.DB_NAME,
+        file: config.STORAGE_FILE,
+        serverSelectionTimeoutMS: config.DB_SERVER_SELECTION_TIMEOUT_MS,
+      });
+      await storage.connect();
+      if (process.argv.includes('--status')) {
+        for (const m of await migrationStatus(storage)) {
+          const when = m.appliedAt ? ` ${m.appliedAt.toISOString()}` : '';
+          console.log(`${m.status.padEnd(8)} ${m.name}${m.optional ? ' (optional)' : ''}${when}`);
+        }
+        return;
+      }
+      const applied = await runMigrations(storage, { seed: process.argv.includes('--seed') });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+    } catch (err) {
+      console.error('Migration error:', err.message || err);
+      process.exitCode = 1;
+    } finally {
+      if (storage) await storage.close();
+    }
+  })();
+}
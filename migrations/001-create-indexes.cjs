@@ -0,0 +1,56 @@
+// backend/migrations/001-create-indexes.cjs
+// Indexes for the lookups and sorts the routes rely on, and the uniqueness
+// rules (usernames, category values) that were only checked in application code
+
+async function findDuplicates(collection, field) {
+  const counts = new Map();
+  for (const doc of await collection.find({}).toArray()) {
+    counts.set(doc[field], (counts.get(doc[field]) || 0) + 1);
+  }
+  return [...counts].filter(([, n]) => n > 1).map(([value]) => value);
+}
+
+module.exports = {
+  description: 'Create indexes',
+  async up(db, { log }) {
+    for (const [name, field] of [['users', 'username'], ['event_categories', 'value']]) {
+      const duplicates = await findDuplicates(db.collection(name), field);
+      if (duplicates.length) {
+        throw new Error(`${name} has duplicate ${field} values (${duplicates.join(', ')}); rename them before migrating`);
+      }
+    }
+
+    await db.collection('users').createIndex({ username: 1 }, { unique: true });
+    // Expired sessions are removed by MongoDB itself
+    await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('sessions').createIndex({ userId: 1 });
+
+    await db.collection('gallery_events').createIndexes([
+      { key: { createdAt: -1 } },
+      { key: { start_date: 1 } },
+      { key: { category: 1 } },
+      { key: { published: 1, publish_at: 1, unpublish_at: 1 } },
+      { key: { deletedAt: 1 } },
+    ]);
+    for (const name of ['team_members', 'user_manuals']) {
+      await db.collection(name).createIndexes([
+        { key: { order: 1, createdAt: -1 } },
+        { key: { published: 1, publish_at: 1, unpublish_at: 1 } },
+        { key: { deletedAt: 1 } },
+      ]);
+    }
+    await db.collection('event_categories').createIndexes([
+      { key: { value: 1 }, unique: true },
+      { key: { order: 1 } },
+    ]);
+
+    await db.collection('audit_log').createIndexes([
+      { key: { at: -1 } },
+      { key: { resource: 1, at: -1 } },
+      { key: { targetId: 1 } },
+    ]);
+    await db.collection('content_revisions').createIndex({ resource: 1, targetId: 1, version: -1 }, { unique: true });
+    await db.collection('insight_points').createIndex({ at: 1 });
+    log('Indexes created');
+  },
+};
@@ -0,0 +1,33 @@
+// backend/migrations/002-structured-event-dates.cjs
+// Parse the legacy free-text `date` / `end_date` of gallery events into
+// structured start_date / end_date
+
+const { parseEventDateText } = require('../event-dates.cjs');
+
+module.exports = {
+  description: 'Structured start_date / end_date for legacy events',
+  async up(db, { log }) {
+    const events = db.collection('gallery_events');
+    const docs = await events.find({}).toArray();
+    let migrated = 0;
+
+    for (const doc of docs) {
+      // Already created or migrated with structured dates
+      if (doc.start_date instanceof Date) continue;
+      const parsed = parseEventDateText(doc.date);
+      if (!parsed) {
+        log(`Could not parse date "${doc.date}" of event ${doc._id} (${doc.title}); set start_date manually`);
+        continue;
+      }
+      // A legacy free-text end_date ("July 18, 2025") overrides the range end
+      const legacyEnd = typeof doc.end_date === 'string' ? parseEventDateText(doc.end_date) : null;
+      const endDate = legacyEnd && legacyEnd.end_date >= parsed.start_date ? legacyEnd.end_date : parsed.end_date;
+      await events.updateOne(
+        { _id: doc._id },
+        { $set: { start_date: parsed.start_date, end_date: endDate, updatedAt: new Date() } }
+      );
+      migrated++;
+    }
+    log(`${migrated} event(s) migrated`);
+  },
+};
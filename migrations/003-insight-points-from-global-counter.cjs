@@ -0,0 +1,31 @@
+// backend/migrations/003-insight-points-from-global-counter.cjs
+// Carry the old single `{ key: 'global' }` insights counter over as the first
+// dated point, so the public totals don't drop to zero
+
+module.exports = {
+  description: 'Seed insight_points from the legacy public_insights counter',
+  async up(db, { log }) {
+    const legacy = await db.collection('public_insights').findOne({ key: 'global' });
+    const points = db.collection('insight_points');
+    if (!legacy || (await points.countDocuments({})) > 0) return;
+
+    const values = {};
+    for (const metric of ['total_users', 'total_publications']) {
+      const n = Number(legacy[metric]);
+      if (Number.isInteger(n) && n > 0) values[metric] = n;
+    }
+    if (Object.keys(values).length === 0) return;
+
+    const at = legacy.updatedAt instanceof Date ? legacy.updatedAt : new Date();
+    await points.insertOne({
+      ...values,
+      at,
+      source: 'legacy',
+      recordedBy: null,
+      retractedAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    log('Legacy insights counter copied to insight_points');
+  },
+};
@@ -1,19 +1,9 @@
-// backend/seed-data.cjs
-// Populate initial categories and sample events
+// backend/migrations/004-seed-demo-content.cjs
+// Optional (`node migrate.cjs --seed`): default categories and sample events,
+// each only inserted while its collection is still empty
 
-const path = require('path');
-const { MongoClient } = require('mongodb');
-const dotenv = require('dotenv');
-
-dotenv.config({ path: path.join(__dirname, '.env') });
-
-const MONGODB_URI = process.env.MONGODB_URI;
-const DB_NAME = process.env.DB_NAME || 'metainfosci_db';
-
-if (!MONGODB_URI) {
-  console.error('Missing MONGODB_URI in backend/.env');
-  process.exit(1);
-}
+const { parseEventDateText } = require('../event-dates.cjs');
+const { slugBase, uniqueSlug } = require('../slugs.cjs');
 
 const mockEvents = [
   {
@@ -62,37 +52,31 @@ const defaultCategories = [
   { value: 'seminar', label: 'Seminar', order: 3 },
 ];
 
-(async () => {
-  const client = new MongoClient(MONGODB_URI);
-  try {
-    await client.connect();
-    const db = client.db(DB_NAME);
+module.exports = {
+  description: 'Seed default categories and sample events',
+  optional: true,
+  async up(db, { log }) {
     const events = db.collection('gallery_events');
     const categories = db.collection('event_categories');
+    const now = new Date();
 
-    // Seed categories if empty
-    const catCount = await categories.countDocuments();
-    if (catCount === 0) {
-      await categories.insertMany(defaultCategories);
-      console.log('Inserted default categories');
+    if ((await categories.countDocuments()) === 0) {
+      await categories.insertMany(defaultCategories.map((c) => ({ ...c, createdAt: now, updatedAt: now })));
+      log('Inserted default categories');
     } else {
-      console.log('Categories already present (skipping)');
+      log('Categories already present (skipping)');
     }
 
-    // Seed events if empty
-    const evtCount = await events.countDocuments();
-    if (evtCount === 0) {
-      const now = new Date();
-      await events.insertMany(
-        mockEvents.map((e) => ({ ...e, createdAt: now, updatedAt: now }))
-      );
-      console.log('Inserted mock events');
+    if ((await events.countDocuments()) === 0) {
+      // Slugged here as well, since migration 008 may already have run
+      for (const e of mockEvents) {
+        const doc = { ...e, ...parseEventDateText(e.date), createdAt: now, updatedAt: now };
+        doc.slug = await uniqueSlug(events, slugBase('gallery_events', doc));
+        await events.insertOne(doc);
+      }
+      log('Inserted mock events');
     } else {
-      console.log('Events already present (skipping)');
+      log('Events already present (skipping)');
     }
-  } catch (err) {
-    console.error('Seeding error:', err);
-  } finally {
-    await client.close();
-  }
-})();
+  },
+};
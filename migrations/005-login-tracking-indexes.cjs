@@ -0,0 +1,15 @@
+// backend/migrations/005-login-tracking-indexes.cjs
+// Indexes for login throttling and login history; login events expire after 180 days
+
+module.exports = {
+  description: 'Create login throttle and login event indexes',
+  async up(db, { log }) {
+    await db.collection('login_throttles').createIndex({ lockedUntil: 1 });
+    await db.collection('login_events').createIndexes([
+      { key: { at: 1 }, expireAfterSeconds: 180 * 24 * 60 * 60 },
+      { key: { userId: 1, at: -1 } },
+      { key: { username: 1, at: -1 } },
+    ]);
+    log('Login tracking indexes created');
+  },
+};
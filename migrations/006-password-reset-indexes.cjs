@@ -0,0 +1,14 @@
+// backend/migrations/006-password-reset-indexes.cjs
+// Reset tokens are looked up by hash and removed by MongoDB once expired
+
+module.exports = {
+  description: 'Create password reset indexes',
+  async up(db, { log }) {
+    await db.collection('password_resets').createIndexes([
+      { key: { tokenHash: 1 }, unique: true },
+      { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+      { key: { userId: 1 } },
+    ]);
+    log('Password reset indexes created');
+  },
+};
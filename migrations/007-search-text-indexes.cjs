@@ -0,0 +1,22 @@
+// backend/migrations/007-search-text-indexes.cjs
+// Weighted text indexes for the public search (one per collection, as MongoDB
+// allows); a match in a title or name ranks above one in a description
+
+module.exports = {
+  description: 'Create search text indexes',
+  async up(db, { log }) {
+    await db.collection('gallery_events').createIndex(
+      { title: 'text', location: 'text', description: 'text' },
+      { name: 'search_text', weights: { title: 10, location: 3, description: 1 }, default_language: 'english' }
+    );
+    await db.collection('team_members').createIndex(
+      { name: 'text', position1: 'text', position2: 'text', affiliation: 'text' },
+      { name: 'search_text', weights: { name: 10, position1: 3, position2: 3, affiliation: 3 }, default_language: 'english' }
+    );
+    await db.collection('user_manuals').createIndex(
+      { title: 'text', description: 'text' },
+      { name: 'search_text', weights: { title: 10, description: 1 }, default_language: 'english' }
+    );
+    log('Search text indexes created');
+  },
+};
@@ -0,0 +1,25 @@
+// backend/migrations/008-slugs.cjs
+// Generates a slug for every existing event, team member and manual (oldest
+// first, so the earliest record keeps the plain slug), then indexes slugs for
+// the public by-slug routes and the old-slug redirects
+
+const { SLUG_SOURCES, slugBase, uniqueSlug } = require('../slugs.cjs');
+
+module.exports = {
+  description: 'Generate record slugs',
+  async up(db, { log }) {
+    for (const name of Object.keys(SLUG_SOURCES)) {
+      const collection = db.collection(name);
+      const docs = await collection.find({ slug: { $exists: false } }).sort({ createdAt: 1, _id: 1 }).toArray();
+      for (const doc of docs) {
+        const slug = await uniqueSlug(collection, slugBase(name, doc), { exceptId: doc._id });
+        await collection.updateOne({ _id: doc._id }, { $set: { slug } });
+      }
+      await collection.createIndexes([
+        { key: { slug: 1 }, unique: true, partialFilterExpression: { slug: { $exists: true } } },
+        { key: { previous_slugs: 1 } },
+      ]);
+      log(`${docs.length} ${name} slug(s) generated`);
+    }
+  },
+};
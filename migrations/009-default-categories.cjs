@@ -0,0 +1,23 @@
+// backend/migrations/009-default-categories.cjs
+// A database without event categories gets the defaults, which the categories
+// route used to insert on its first read
+
+const DEFAULT_CATEGORIES = [
+  { value: 'workshop', label: 'Workshop', order: 1 },
+  { value: 'conference', label: 'Conference', order: 2 },
+  { value: 'seminar', label: 'Seminar', order: 3 },
+];
+
+module.exports = {
+  description: 'Seed the default event categories',
+  async up(db, { log }) {
+    const categories = db.collection('event_categories');
+    if ((await categories.countDocuments()) > 0) {
+      log('Categories already present (skipping)');
+      return;
+    }
+    const now = new Date();
+    await categories.insertMany(DEFAULT_CATEGORIES.map((c) => ({ ...c, createdAt: now, updatedAt: now })));
+    log('Inserted default categories');
+  },
+};
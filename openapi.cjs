@@ -0,0 +1,1009 @@
+// backend/openapi.cjs
+// OpenAPI 3.1 description of the HTTP API, the docs page that renders it and
+// the optional runtime contract checks (API_CONTRACT_CHECKS=warn|strict).
+//
+// ROUTES below lists every route registered in backend.cjs, using the same
+// Express path strings; routeDrift() compares the two at startup so a route
+// added without documentation (or documentation left behind) is reported.
+// Request bodies are derived from the field schemas in schemas.cjs.
+
+const {
+  eventSchema,
+  teamMemberSchema,
+  manualSchema,
+  categorySchema,
+  userSchema,
+  insightPointSchema,
+  READ_ONLY_FIELDS,
+} = require('./schemas.cjs');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+// SCHEMAS
+// A schemas.cjs rule as JSON Schema. Request bodies accept what validate()
+// accepts: numeric strings for numbers, "YYYY-MM-DD" or '' for nullable dates.
+function ruleSchema(rule, { input }) {
+  let schema;
+  switch (rule.type) {
+    case 'string':
+      schema = { type: 'string' };
+      if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+      if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+      if (rule.enum) schema.enum = rule.enum;
+      if (rule.pattern) schema.pattern = rule.pattern.source;
+      if (rule.format === 'url') schema.format = 'uri-reference';
+      break;
+    case 'number':
+    case 'integer':
+      schema = { type: input ? [rule.type, 'string'] : rule.type };
+      if (rule.min !== undefined) schema.minimum = rule.min;
+      if (rule.max !== undefined) schema.maximum = rule.max;
+      break;
+    case 'date':
+      schema = input ? { type: 'string', pattern: '^(\\d{4}-\\d{2}-\\d{2}.*)?$', description: 'ISO 8601 date or date-time' } : { ...DATE_TIME };
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'array':
+      schema = { type: 'array', items: ruleSchema(rule.items, { input }) };
+      if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+      break;
+    default:
+      throw new Error(`Unknown schema type: ${rule.type}`);
+  }
+  return rule.nullable ? { ...schema, type: [].concat(schema.type, 'null') } : schema;
+}
+
+// Create (all required fields) or update (`partial`) payload for a field schema;
+// the read-only id/createdAt/updatedAt the admin UI echoes back are tolerated.
+function bodySchema(fields, { partial = false } = {}) {
+  const properties = {};
+  for (const [key, rule] of Object.entries(fields)) properties[key] = ruleSchema(rule, { input: true });
+  for (const key of READ_ONLY_FIELDS) properties[key] = { readOnly: true };
+  const required = partial ? [] : Object.keys(fields).filter((key) => fields[key].required);
+  return { type: 'object', properties, ...(required.length ? { required } : {}), additionalProperties: false };
+}
+
+// A stored record as the admin routes return it (extra bookkeeping fields allowed)
+function recordSchema(fields, extra = {}, required = []) {
+  const properties = { id: OBJECT_ID };
+  for (const [key, rule] of Object.entries(fields)) properties[key] = ruleSchema(rule, { input: false });
+  Object.assign(properties, { createdAt: DATE_TIME, updatedAt: DATE_TIME }, extra);
+  return { type: 'object', properties, required: ['id', ...required] };
+}
+
+const VISIBILITY = { type: 'string', enum: ['draft', 'scheduled', 'live', 'expired'] };
+const PREVIOUS_SLUGS = { type: 'array', items: { type: 'string' }, description: 'Replaced slugs, which redirect to the current one' };
+const ACTOR = nullable({ type: 'object', properties: { id: { type: 'string' }, username: { type: 'string' } } });
+
+function envelope(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+const success = (data, extra = {}) => envelope({ success: { const: true }, data, ...extra });
+const listOf = (schema) => ({ type: 'array', items: schema });
+const paged = (schema) => envelope({ data: listOf(schema), pagination: ref('Pagination') });
+
+const COMPONENTS = {
+  Error: {
+    type: 'object',
+    properties: { error: { type: 'string' } },
+    required: ['error'],
+    description: 'Some errors carry extra context, e.g. `retry_after` (429) or the events blocking a category delete (409)',
+  },
+  ValidationError: envelope({
+    error: { const: 'Validation failed' },
+    fields: { type: 'object', additionalProperties: { type: 'string' }, description: 'One message per failing field' },
+  }),
+  Pagination: envelope({
+    page: { type: 'integer' },
+    limit: { type: 'integer' },
+    total: { type: 'integer' },
+    pages: { type: 'integer' },
+  }),
+  Deleted: envelope({ success: { const: true }, deleted: { type: 'integer' } }),
+  Success: envelope({ success: { const: true } }),
+  Event: recordSchema(eventSchema, { previous_slugs: PREVIOUS_SLUGS, status: { type: 'string' }, visibility: VISIBILITY }, ['title', 'status', 'visibility']),
+  PublicEvent: envelope(
+    {
+      id: OBJECT_ID,
+      title: { type: 'string' },
+      slug: { type: 'string' },
+      description: { type: 'string' },
+      date: { type: 'string' },
+      start_date: nullable(DATE_TIME),
+      end_date: nullable(DATE_TIME),
+      location: { type: 'string' },
+      images: listOf({ type: 'string' }),
+      category: { type: 'string' },
+      link: { type: 'string' },
+      status: { type: 'string' },
+      attendees: { type: 'integer' },
+    },
+    ['id', 'title', 'slug', 'start_date', 'end_date', 'status']
+  ),
+  EventInput: bodySchema(eventSchema),
+  EventPatch: bodySchema(eventSchema, { partial: true }),
+  Category: envelope(
+    { id: OBJECT_ID, value: { type: 'string' }, label: { type: 'string' }, order: { type: 'number' } },
+    ['id', 'value', 'label']
+  ),
+  CategoryInput: bodySchema(categorySchema),
+  CategoryPatch: bodySchema(categorySchema, { partial: true }),
+  TeamMember: recordSchema(teamMemberSchema, { previous_slugs: PREVIOUS_SLUGS, visibility: VISIBILITY }, ['name', 'visibility']),
+  TeamMemberInput: bodySchema(teamMemberSchema),
+  TeamMemberPatch: bodySchema(teamMemberSchema, { partial: true }),
+  Manual: recordSchema(manualSchema, { previous_slugs: PREVIOUS_SLUGS, visibility: VISIBILITY }, ['title', 'visibility']),
+  ManualInput: bodySchema(manualSchema),
+  ManualPatch: bodySchema(manualSchema, { partial: true }),
+  SearchResult: envelope({
+    type: { type: 'string', enum: ['event', 'team_member', 'manual'] },
+    id: OBJECT_ID,
+    score: { type: 'number', description: 'Text relevance; results are sorted by it' },
+    title: { type: 'string' },
+    highlights: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+      description: 'HTML-escaped excerpts of the matching fields, matches wrapped in <mark>',
+    },
+    data: { oneOf: [ref('PublicEvent'), ref('TeamMember'), ref('Manual')] },
+  }),
+  Order: envelope({ ids: { ...listOf(OBJECT_ID), description: 'Every record, in the new order' } }),
+  User: envelope(
+    {
+      id: OBJECT_ID,
+      username: { type: 'string' },
+      role: { type: 'string', enum: userSchema.role.enum },
+      createdAt: DATE_TIME,
+      updatedAt: DATE_TIME,
+      lastLoginAt: nullable(DATE_TIME),
+      lastFailedLoginAt: nullable(DATE_TIME),
+    },
+    ['id', 'username', 'role']
+  ),
+  UserInput: bodySchema(userSchema),
+  UserPatch: bodySchema(
+    { username: userSchema.username, role: userSchema.role, password: { type: 'string', maxLength: 0 } },
+    { partial: true }
+  ),
+  PasswordPolicy: envelope({ minLength: { type: 'integer' }, maxLength: { type: 'integer' }, minClasses: { type: 'integer' } }),
+  LoginEvent: {
+    type: 'object',
+    properties: {
+      id: OBJECT_ID,
+      userId: nullable(OBJECT_ID),
+      username: { type: 'string' },
+      success: { type: 'boolean' },
+      reason: { type: 'string', enum: ['invalid_credentials', 'locked'] },
+      ip: { type: 'string' },
+      userAgent: nullable({ type: 'string' }),
+      at: DATE_TIME,
+    },
+    required: ['id', 'username', 'success', 'at'],
+  },
+  Lockout: envelope({
+    key: { type: 'string', description: '`user:<username>` or `ip:<address>`' },
+    type: { type: 'string', enum: ['user', 'ip'] },
+    value: { type: 'string' },
+    locked: { type: 'boolean' },
+    lockedUntil: nullable(DATE_TIME),
+    lockouts: { type: 'integer' },
+    failures: { type: 'integer' },
+    lastFailureAt: nullable(DATE_TIME),
+  }),
+  Media: envelope(
+    {
+      id: OBJECT_ID,
+      url: { type: 'string' },
+      filename: { type: 'string' },
+      content_type: { type: 'string' },
+      size: { type: 'integer' },
+      uploadedAt: DATE_TIME,
+    },
+    ['id', 'url', 'filename', 'size', 'uploadedAt']
+  ),
+  Insights: envelope({
+    total_users: { type: 'integer' },
+    total_publications: { type: 'integer' },
+    updated_at: nullable(DATE_TIME),
+  }),
+  InsightSeries: envelope({
+    granularity: { type: 'string', enum: ['daily', 'weekly', 'monthly'] },
+    data: listOf(
+      envelope({
+        period: { type: 'string', format: 'date' },
+        total_users: nullable({ type: 'integer' }),
+        total_publications: nullable({ type: 'integer' }),
+      })
+    ),
+  }),
+  InsightPoint: {
+    type: 'object',
+    properties: {
+      id: OBJECT_ID,
+      total_users: { type: 'integer' },
+      total_publications: { type: 'integer' },
+      at: DATE_TIME,
+      source: { type: 'string' },
+      recordedBy: ACTOR,
+      retractedAt: nullable(DATE_TIME),
+      retractedBy: ACTOR,
+      retract_reason: { type: 'string' },
+      createdAt: DATE_TIME,
+      updatedAt: DATE_TIME,
+    },
+    required: ['id', 'at', 'source', 'retractedAt'],
+  },
+  InsightPointInput: bodySchema(insightPointSchema),
+  InsightPointPatch: bodySchema(insightPointSchema, { partial: true }),
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: OBJECT_ID,
+      resource: { type: 'string' },
+      action: { type: 'string' },
+      targetId: nullable({ type: 'string' }),
+      actor: ACTOR,
+      changes: { type: 'object', additionalProperties: { type: 'object' } },
+      meta: { type: 'object' },
+      at: DATE_TIME,
+    },
+    required: ['id', 'resource', 'action', 'actor', 'changes', 'at'],
+  },
+  TrashItem: envelope({
+    type: { type: 'string', enum: ['gallery-events', 'team-members', 'user-manuals', 'users'] },
+    id: OBJECT_ID,
+    label: { type: 'string' },
+    deletedAt: DATE_TIME,
+    deletedBy: ACTOR,
+    purgeAt: DATE_TIME,
+    data: { type: 'object' },
+  }),
+  Revision: envelope(
+    {
+      version: { type: 'integer' },
+      editedAt: nullable(DATE_TIME),
+      replacedAt: DATE_TIME,
+      replacedBy: ACTOR,
+      data: { type: 'object', description: 'The editable fields as they were' },
+    },
+    ['version', 'editedAt', 'replacedAt', 'replacedBy']
+  ),
+  RevisionDiff: envelope({
+    from: { type: ['integer', 'string'] },
+    to: { type: ['integer', 'string'], description: 'A version number or "current"' },
+    changes: { type: 'object', additionalProperties: { type: 'object' } },
+  }),
+  ExportBundle: envelope(
+    {
+      format: { const: 'metainfosci-export' },
+      version: { const: 1 },
+      exportedAt: DATE_TIME,
+      collections: { type: 'object', additionalProperties: listOf({ type: 'object' }) },
+    },
+    ['format', 'version', 'collections']
+  ),
+  ImportReport: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      dry_run: { type: 'boolean' },
+      applied: { type: 'boolean' },
+      summary: { type: 'object', additionalProperties: envelope({ create: { type: 'integer' }, update: { type: 'integer' }, skip: { type: 'integer' } }) },
+      errors: listOf({ type: 'object' }),
+      conflicts: listOf({ type: 'object' }),
+    },
+    required: ['dry_run', 'applied', 'summary', 'errors', 'conflicts'],
+    additionalProperties: false,
+  },
+};
+
+// ROUTES
+// `access`: 'public', 'session' (any signed-in user) or the roles allowed.
+// `query`/`body`/`responses` hold schemas; `errors` lists the route's own
+// error statuses (400/401/403/422/500 are added from the other fields).
+const PAGE_QUERY = {
+  page: { schema: { type: 'integer', minimum: 1 }, description: 'Page number (with `limit`, switches to the paged envelope)' },
+  limit: { schema: { type: 'integer', minimum: 1 } },
+};
+const RANGE_QUERY = {
+  from: { schema: DATE_TIME, description: 'Earliest date (inclusive)' },
+  to: { schema: DATE_TIME, description: 'Latest date (inclusive)' },
+};
+const EVENT_QUERY = {
+  category: { schema: { type: 'string' }, description: 'Comma-separated category values' },
+  status: { schema: { type: 'string', enum: ['Upcoming', 'Ongoing', 'Concluded'] } },
+  from: { schema: DATE_TIME, description: 'Events ending on or after this date' },
+  to: { schema: DATE_TIME, description: 'Events starting on or before this date' },
+  q: { schema: { type: 'string' }, description: 'Text in title, description or location' },
+  sort: { schema: { type: 'string' }, description: 'Field to sort by, "-" prefix for descending' },
+  ...PAGE_QUERY,
+};
+const EDITORS = ['owner', 'editor'];
+const TEXT = (type) => ({ [type]: { schema: { type: 'string' } } });
+
+function crud(path, tag, noun, name) {
+  return [
+    { method: 'get', path: `/admin-services/${path}/:id`, tag, summary: `Get a ${noun}`, access: 'session', responses: ref(name), errors: [404] },
+    { method: 'post', path: `/admin-services/${path}/`, tag, summary: `Create a ${noun}`, access: EDITORS, body: ref(`${name}Input`), status: 201, responses: success(ref(name)), errors: [409] },
+    { method: 'put', path: `/admin-services/${path}/order`, tag, summary: `Reorder ${noun}s`, access: EDITORS, body: ref('Order'), responses: success(listOf(ref(name))) },
+    { method: 'put', path: `/admin-services/${path}/:id`, tag, summary: `Update a ${noun}`, access: EDITORS, body: ref(`${name}Patch`), responses: success(ref(name)), errors: [404, 409] },
+    { method: 'delete', path: `/admin-services/${path}/:id`, tag, summary: `Move a ${noun} to the trash`, access: EDITORS, responses: ref('Deleted'), errors: [404] },
+  ];
+}
+
+// Public single-record route; a replaced slug answers 301 to the current one
+function bySlug(path, tag, noun, name) {
+  return {
+    method: 'get',
+    path: `/admin-services/public/${path}/:slug`,
+    tag,
+    summary: `Get a published ${noun} by slug`,
+    access: 'public',
+    responses: ref(name),
+    redirect: 'Moved to the current slug',
+    errors: [404],
+  };
+}
+
+function revisionRoutes(type, name) {
+  const tag = 'Revisions';
+  return [
+    { method: 'get', path: `/admin-services/${type}/:id/revisions`, tag, summary: `List revisions of a ${name}`, access: 'session', responses: listOf(ref('Revision')), errors: [404] },
+    {
+      method: 'get',
+      path: `/admin-services/${type}/:id/revisions/diff`,
+      tag,
+      summary: `Diff two versions of a ${name}`,
+      access: 'session',
+      query: { from: { schema: { type: 'string' }, description: 'Version (default: latest revision)' }, to: { schema: { type: 'string' }, description: 'Version or "current" (default)' } },
+      responses: ref('RevisionDiff'),
+      errors: [404],
+    },
+    { method: 'get', path: `/admin-services/${type}/:id/revisions/:version`, tag, summary: `Get one revision of a ${name}`, access: 'session', responses: ref('Revision'), errors: [404] },
+    { method: 'post', path: `/admin-services/${type}/:id/revisions/:version/rollback`, tag, summary: `Roll a ${name} back to a revision`, access: EDITORS, responses: success({ type: 'object' }), errors: [404, 409] },
+  ];
+}
+
+const ROUTES = [
+  { method: 'get', path: '/health', tag: 'System', summary: 'Database connectivity check', access: 'public', responses: envelope({ status: { const: 'ok' }, database: { type: 'string' }, timestamp: DATE_TIME }) },
+  { method: 'get', path: '/health/live', tag: 'System', summary: 'Liveness probe (the process is serving HTTP)', access: 'public', responses: envelope({ status: { const: 'ok' }, uptime_seconds: { type: 'integer' } }) },
+  {
+    method: 'get',
+    path: '/health/ready',
+    tag: 'System',
+    summary: 'Readiness probe with database ping latency',
+    access: 'public',
+    responses: envelope({ status: { const: 'ready' }, database: envelope({ status: { const: 'connected' }, latency_ms: { type: 'number' } }) }),
+    errors: [503],
+    errorBodies: {
+      503: envelope(
+        { status: { enum: ['starting', 'draining', 'unavailable'] }, database: envelope({ status: { const: 'error' }, error: { type: 'string' } }) },
+        ['status']
+      ),
+    },
+  },
+  { method: 'get', path: '/admin-services/public/openapi.json', tag: 'System', summary: 'This document', access: 'public', responses: { type: 'object' } },
+  { method: 'get', path: '/admin-services/public/docs', tag: 'System', summary: 'Browsable API documentation', access: 'public', content: TEXT('text/html') },
+  {
+    method: 'get',
+    path: '/metrics',
+    tag: 'System',
+    summary: 'Prometheus metrics (bearer METRICS_TOKEN when configured)',
+    access: 'public',
+    content: TEXT('text/plain'),
+    errors: [401],
+  },
+
+  // Events
+  { method: 'get', path: '/admin-services/gallery-events/', tag: 'Events', summary: 'List events (all states)', access: 'session', query: EVENT_QUERY, responses: { oneOf: [listOf(ref('Event')), paged(ref('Event'))] } },
+  { method: 'get', path: '/admin-services/public/gallery-events/', tag: 'Events', summary: 'List published events', access: 'public', query: EVENT_QUERY, responses: { oneOf: [listOf(ref('PublicEvent')), paged(ref('PublicEvent'))] } },
+  { method: 'get', path: '/admin-services/gallery-events/:id', tag: 'Events', summary: 'Get an event', access: 'session', responses: ref('Event'), errors: [404] },
+  { method: 'post', path: '/admin-services/gallery-events/', tag: 'Events', summary: 'Create an event', access: EDITORS, body: ref('EventInput'), status: 201, responses: success(ref('Event')), errors: [409] },
+  { method: 'put', path: '/admin-services/gallery-events/:id', tag: 'Events', summary: 'Update an event', access: EDITORS, body: ref('EventPatch'), responses: success(ref('Event')), errors: [404, 409] },
+  { method: 'delete', path: '/admin-services/gallery-events/:id', tag: 'Events', summary: 'Move an event to the trash', access: EDITORS, responses: ref('Deleted'), errors: [404] },
+  { method: 'get', path: '/admin-services/events/categories/', tag: 'Events', summary: 'List event categories in display order', access: 'session', responses: listOf(ref('Category')) },
+  { method: 'post', path: '/admin-services/events/categories/', tag: 'Events', summary: 'Create a category', access: EDITORS, body: ref('CategoryInput'), status: 201, responses: success(ref('Category')), errors: [409] },
+  { method: 'put', path: '/admin-services/events/categories/order', tag: 'Events', summary: 'Reorder categories', access: EDITORS, body: ref('Order'), responses: success(listOf(ref('Category'))) },
+  { method: 'put', path: '/admin-services/events/categories/:id', tag: 'Events', summary: 'Update a category (renaming moves its events)', access: EDITORS, body: ref('CategoryPatch'), responses: success(ref('Category'), { events_updated: { type: 'integer' } }), errors: [404, 409] },
+  {
+    method: 'delete',
+    path: '/admin-services/events/categories/:id',
+    tag: 'Events',
+    summary: 'Delete a category',
+    access: EDITORS,
+    query: { replacement: { schema: { type: 'string' }, description: 'Category value to move its events to' } },
+    responses: envelope({ success: { const: true }, deleted: { type: 'integer' }, events_updated: { type: 'integer' } }),
+    errors: [404, 409],
+  },
+
+  // Feeds
+  { method: 'get', path: '/admin-services/public/gallery-events.ics', tag: 'Feeds', summary: 'Calendar of upcoming events', access: 'public', query: { category: EVENT_QUERY.category }, content: TEXT('text/calendar') },
+  { method: 'get', path: '/admin-services/public/gallery-events/:id.ics', tag: 'Feeds', summary: 'One event as an .ics file', access: 'public', content: TEXT('text/calendar'), errors: [404] },
+  // After the .ics route, which it would otherwise match
+  bySlug('gallery-events', 'Events', 'event', 'PublicEvent'),
+  ...['rss', 'atom'].map((format) => ({
+    method: 'get',
+    path: `/admin-services/public/feed.${format}`,
+    tag: 'Feeds',
+    summary: `Newly published events and manuals (${format === 'rss' ? 'RSS 2.0' : 'Atom'})`,
+    access: 'public',
+    query: { category: EVENT_QUERY.category, type: { schema: { type: 'string', enum: ['events', 'manuals'] } } },
+    content: TEXT(`application/${format}+xml`),
+  })),
+
+  // Search
+  {
+    method: 'get',
+    path: '/admin-services/public/search',
+    tag: 'Search',
+    summary: 'Search published events, team members and manuals',
+    access: 'public',
+    query: {
+      q: { required: true, schema: { type: 'string', maxLength: 200 }, description: 'Words, "quoted phrases" and -excluded words' },
+      type: { schema: { type: 'string' }, description: 'Comma-separated result types: event, team_member, manual (default: all)' },
+      ...PAGE_QUERY,
+    },
+    responses: envelope({
+      data: listOf(ref('SearchResult')),
+      pagination: ref('Pagination'),
+      counts: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Matches per type (at most 100 each)' },
+    }),
+  },
+
+  // Team and manuals
+  { method: 'get', path: '/admin-services/team-members/', tag: 'Team members', summary: 'List team members (all states)', access: 'session', responses: listOf(ref('TeamMember')) },
+  { method: 'get', path: '/admin-services/public/team-members/', tag: 'Team members', summary: 'List published team members', access: 'public', responses: listOf(ref('TeamMember')) },
+  bySlug('team-members', 'Team members', 'team member', 'TeamMember'),
+  ...crud('team-members', 'Team members', 'team member', 'TeamMember'),
+  { method: 'get', path: '/admin-services/user-manuals/', tag: 'User manuals', summary: 'List manuals (all states)', access: 'session', responses: listOf(ref('Manual')) },
+  { method: 'get', path: '/admin-services/public/user-manuals/', tag: 'User manuals', summary: 'List published manuals', access: 'public', responses: listOf(ref('Manual')) },
+  bySlug('user-manuals', 'User manuals', 'manual', 'Manual'),
+  ...crud('user-manuals', 'User manuals', 'manual', 'Manual'),
+
+  // Users and sign-in
+  { method: 'get', path: '/admin-services/users/', tag: 'Users', summary: 'List users', access: 'session', responses: listOf(ref('User')) },
+  { method: 'post', path: '/admin-services/users/', tag: 'Users', summary: 'Create a user (open while no users exist)', access: ['owner'], body: ref('UserInput'), status: 201, responses: success(ref('User')), errors: [409] },
+  { method: 'put', path: '/admin-services/users/:id', tag: 'Users', summary: 'Update a user\'s name or role', access: ['owner'], body: ref('UserPatch'), responses: success(ref('User')), errors: [404, 409] },
+  { method: 'delete', path: '/admin-services/users/:id', tag: 'Users', summary: 'Move a user to the trash', access: ['owner'], responses: ref('Deleted'), errors: [404, 409] },
+  {
+    method: 'post',
+    path: '/admin-services/users/login',
+    tag: 'Users',
+    summary: 'Sign in',
+    access: 'public',
+    body: envelope({ username: { type: 'string' }, password: { type: 'string' } }),
+    responses: envelope({
+      success: { const: true },
+      data: ref('User'),
+      token: { type: 'string' },
+      expires_at: DATE_TIME,
+      last_login: envelope({ at: nullable(DATE_TIME), ip: nullable({ type: 'string' }), failed_attempts_since: { type: 'integer' } }),
+    }),
+    errors: [401, 429],
+  },
+  { method: 'post', path: '/admin-services/users/logout', tag: 'Users', summary: 'Revoke the current session', access: 'session', responses: ref('Success') },
+  { method: 'post', path: '/admin-services/users/refresh', tag: 'Users', summary: 'Exchange the session for a fresh one', access: 'session', responses: envelope({ success: { const: true }, data: ref('User'), token: { type: 'string' }, expires_at: DATE_TIME }) },
+  { method: 'get', path: '/admin-services/public/password-policy', tag: 'Users', summary: 'Password rules', access: 'public', responses: ref('PasswordPolicy') },
+  {
+    method: 'post',
+    path: '/admin-services/users/me/password',
+    tag: 'Users',
+    summary: 'Change the signed-in user\'s password',
+    access: 'session',
+    body: envelope({ current_password: { type: 'string' }, new_password: { type: 'string' } }),
+    responses: envelope({ success: { const: true }, sessions_revoked: { type: 'integer' } }),
+    errors: [403],
+  },
+  {
+    method: 'post',
+    path: '/admin-services/users/:id/password-reset',
+    tag: 'Users',
+    summary: 'Issue a one-time password reset token',
+    access: ['owner'],
+    status: 201,
+    responses: envelope({ success: { const: true }, token: { type: 'string' }, expires_at: DATE_TIME, url: { type: 'string' } }, ['success', 'token', 'expires_at']),
+    errors: [404],
+  },
+  { method: 'delete', path: '/admin-services/users/:id/password-reset', tag: 'Users', summary: 'Revoke a pending reset token', access: ['owner'], responses: ref('Success'), errors: [404] },
+  {
+    method: 'post',
+    path: '/admin-services/users/password-reset',
+    tag: 'Users',
+    summary: 'Set a new password with a reset token',
+    access: 'public',
+    body: envelope({ token: { type: 'string' }, new_password: { type: 'string' } }),
+    responses: ref('Success'),
+    errors: [429],
+  },
+  {
+    method: 'get',
+    path: '/admin-services/login-events/',
+    tag: 'Users',
+    summary: 'Login history (owners: everyone\'s, others: their own)',
+    access: 'session',
+    query: { username: { schema: { type: 'string' } }, ip: { schema: { type: 'string' } }, success: { schema: { type: 'boolean' } }, ...RANGE_QUERY, ...PAGE_QUERY },
+    responses: paged(ref('LoginEvent')),
+  },
+  { method: 'get', path: '/admin-services/lockouts/', tag: 'Users', summary: 'Locked or recently failing usernames and IPs', access: ['owner'], responses: listOf(ref('Lockout')) },
+  { method: 'delete', path: '/admin-services/lockouts/:key', tag: 'Users', summary: 'Clear a lockout', access: ['owner'], responses: ref('Success'), errors: [404] },
+
+  // Platform insights
+  { method: 'get', path: '/admin-services/public/platform-insights/', tag: 'Platform insights', summary: 'Latest platform totals', access: 'public', responses: ref('Insights') },
+  {
+    method: 'get',
+    path: '/admin-services/public/platform-insights/series',
+    tag: 'Platform insights',
+    summary: 'Growth series',
+    access: 'public',
+    query: { granularity: { schema: { type: 'string', enum: ['daily', 'weekly', 'monthly'] } }, ...RANGE_QUERY },
+    responses: ref('InsightSeries'),
+  },
+  {
+    method: 'get',
+    path: '/admin-services/platform-insights/points',
+    tag: 'Platform insights',
+    summary: 'Recorded points, newest first',
+    access: 'session',
+    query: { ...RANGE_QUERY, source: { schema: { type: 'string' } }, ...PAGE_QUERY },
+    responses: paged(ref('InsightPoint')),
+  },
+  { method: 'post', path: '/admin-services/platform-insights/points', tag: 'Platform insights', summary: 'Record a point', access: ['owner', 'editor', 'ingest key'], body: ref('InsightPointInput'), status: 201, responses: success(ref('InsightPoint')) },
+  {
+    method: 'post',
+    path: '/admin-services/platform-insights/cache-upsert',
+    tag: 'Platform insights',
+    summary: 'Record a point (older clients)',
+    access: ['owner', 'editor', 'ingest key'],
+    deprecated: true,
+    body: ref('InsightPointInput'),
+    responses: envelope({ success: { const: true }, updated: { const: true }, data: ref('Insights') }),
+  },
+  { method: 'put', path: '/admin-services/platform-insights/points/:id', tag: 'Platform insights', summary: 'Correct a point', access: EDITORS, body: ref('InsightPointPatch'), responses: success(ref('InsightPoint')), errors: [404] },
+  {
+    method: 'delete',
+    path: '/admin-services/platform-insights/points/:id',
+    tag: 'Platform insights',
+    summary: 'Retract a point',
+    access: EDITORS,
+    body: { type: 'object', properties: { reason: { type: 'string' } } },
+    optionalBody: true,
+    responses: success(ref('InsightPoint')),
+    errors: [404, 409],
+  },
+
+  // Media
+  {
+    method: 'post',
+    path: '/admin-services/media/',
+    tag: 'Media',
+    summary: 'Upload a file',
+    access: EDITORS,
+    multipart: true,
+    status: 201,
+    responses: success(ref('Media')),
+    errors: [413, 415],
+  },
+  { method: 'get', path: '/admin-services/media/', tag: 'Media', summary: 'List uploaded files', access: 'session', responses: listOf(ref('Media')) },
+  { method: 'delete', path: '/admin-services/media/:id', tag: 'Media', summary: 'Delete an unreferenced file', access: EDITORS, responses: ref('Deleted'), errors: [404, 409] },
+  { method: 'get', path: '/admin-services/public/media/:id', tag: 'Media', summary: 'Download a file (supports Range)', access: 'public', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }, errors: [404, 416] },
+
+  // Trash, revisions, audit
+  {
+    method: 'get',
+    path: '/admin-services/trash/',
+    tag: 'Trash',
+    summary: 'Trashed records, newest first',
+    access: EDITORS,
+    query: { type: { schema: COMPONENTS.TrashItem.properties.type } },
+    responses: listOf(ref('TrashItem')),
+  },
+  { method: 'post', path: '/admin-services/trash/:type/:id/restore', tag: 'Trash', summary: 'Restore a trashed record', access: EDITORS, responses: success({ type: 'object' }), errors: [404] },
+  { method: 'delete', path: '/admin-services/trash/:type/:id', tag: 'Trash', summary: 'Delete a trashed record permanently', access: EDITORS, responses: ref('Deleted'), errors: [404] },
+  ...revisionRoutes('gallery-events', 'event'),
+  ...revisionRoutes('team-members', 'team member'),
+  ...revisionRoutes('user-manuals', 'manual'),
+  {
+    method: 'get',
+    path: '/admin-services/audit-log/',
+    tag: 'Audit',
+    summary: 'Audit history, newest first',
+    access: ['owner'],
+    query: { resource: { schema: { type: 'string' } }, actor: { schema: { type: 'string' }, description: 'User id or username' }, target: { schema: { type: 'string' } }, ...RANGE_QUERY, ...PAGE_QUERY },
+    responses: paged(ref('AuditEntry')),
+  },
+
+  // Export / import
+  {
+    method: 'get',
+    path: '/admin-services/export/',
+    tag: 'Export / import',
+    summary: 'Export content as a JSON bundle or one collection as CSV',
+    access: EDITORS,
+    query: { format: { schema: { type: 'string', enum: ['json', 'csv'] } }, collection: { schema: { type: 'string' }, description: 'Required for CSV' } },
+    responses: ref('ExportBundle'),
+    content: TEXT('text/csv'),
+  },
+  {
+    method: 'post',
+    path: '/admin-services/import/',
+    tag: 'Export / import',
+    summary: 'Import a JSON bundle or a CSV collection',
+    access: ['owner'],
+    query: {
+      dry_run: { schema: { type: 'boolean' } },
+      force: { schema: { type: 'boolean' }, description: 'Apply despite conflicts' },
+      collection: { schema: { type: 'string' }, description: 'Collection of a text/csv body' },
+    },
+    body: ref('ExportBundle'),
+    csvBody: true,
+    responses: ref('ImportReport'),
+    errorBodies: { 409: ref('ImportReport'), 422: ref('ImportReport') },
+  },
+];
+
+// DOCUMENT
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+function operationFor(route) {
+  const parameters = [];
+  for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+    const schema = name === 'id' && !route.path.includes('/lockouts/') ? OBJECT_ID : { type: 'string' };
+    parameters.push({ name, in: 'path', required: true, schema });
+  }
+  for (const [name, spec] of Object.entries(route.query || {})) {
+    parameters.push({ name, in: 'query', ...spec });
+  }
+
+  const status = String(route.status || 200);
+  const content = {};
+  if (route.responses) content['application/json'] = { schema: route.responses };
+  Object.assign(content, route.content || {});
+  const responses = { [status]: { description: 'OK', content } };
+  if (route.redirect) responses[301] = { description: route.redirect, headers: { Location: { schema: { type: 'string' } } } };
+  const error = (schema) => ({ content: { 'application/json': { schema } } });
+  const codes = new Set(route.errors || []);
+  if (parameters.length) codes.add(400);
+  if (route.access !== 'public') {
+    codes.add(401);
+    if (Array.isArray(route.access)) codes.add(403);
+  }
+  for (const code of [...codes].sort()) {
+    responses[code] = { description: ERROR_DESCRIPTIONS[code] || 'Error', ...error((route.errorBodies || {})[code] || ref('Error')) };
+  }
+  if (route.body && !route.csvBody) responses[422] = { description: 'Validation failed', ...error(ref('ValidationError')) };
+  if (route.errorBodies && route.errorBodies[422]) responses[422] = { description: 'Invalid records', ...error(route.errorBodies[422]) };
+  responses[500] = { description: 'Server error', ...error(ref('Error')) };
+
+  const operation = {
+    tags: [route.tag],
+    summary: route.summary,
+    operationId: `${route.method}${toOpenApiPath(route.path).replace(/[^A-Za-z0-9]+(.)?/g, (m, c) => (c ? c.toUpperCase() : ''))}`,
+    ...(route.deprecated ? { deprecated: true } : {}),
+    ...(parameters.length ? { parameters } : {}),
+    responses,
+    'x-access': route.access,
+  };
+  if (route.access === 'public') operation.security = [];
+  else if (Array.isArray(route.access)) operation.description = `Allowed for: ${route.access.join(', ')}`;
+  if (route.body) {
+    operation.requestBody = {
+      required: !route.optionalBody,
+      content: { 'application/json': { schema: route.body }, ...(route.csvBody ? TEXT('text/csv') : {}) },
+    };
+  } else if (route.multipart) {
+    operation.requestBody = {
+      required: true,
+      content: { 'multipart/form-data': { schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } }, required: ['file'] } } },
+    };
+  }
+  return operation;
+}
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Bad request',
+  401: 'Not signed in or session expired',
+  403: 'Insufficient permissions',
+  404: 'Not found',
+  409: 'Conflict',
+  413: 'Too large',
+  415: 'Unsupported type',
+  416: 'Range not satisfiable',
+  429: 'Too many requests',
+  503: 'Not ready',
+};
+
+/**
+ * The OpenAPI document; `serverUrl` is the base URL clients should call.
+ */
+function buildDocument({ serverUrl, version = '1.0.0' } = {}) {
+  const paths = {};
+  for (const route of ROUTES) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operationFor(route);
+  }
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'MetaInfoSci admin services API',
+      version,
+      description:
+        'Content and account management for the MetaInfoSci site. Routes under /admin-services/public/ need no credentials; ' +
+        'the rest take a session token from POST /admin-services/users/login as `Authorization: Bearer <token>`. ' +
+        'Writes are rate limited per client IP (429 with Retry-After). ' +
+        'Until the server has finished starting, every route except the health probes answers 503 with Retry-After.',
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token (or an insights ingest key)' } },
+      schemas: COMPONENTS,
+    },
+  };
+}
+
+/**
+ * Compares the routes registered on `app` with ROUTES. Returns the
+ * `METHOD path` strings that are undocumented and those documented but missing.
+ */
+function routeDrift(app) {
+  const registered = new Set();
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      if (method !== '_all') registered.add(`${method.toUpperCase()} ${layer.route.path}`);
+    }
+  }
+  const documented = new Set(ROUTES.map((r) => `${r.method.toUpperCase()} ${r.path}`));
+  return {
+    undocumented: [...registered].filter((r) => !documented.has(r)),
+    missing: [...documented].filter((r) => !registered.has(r)),
+  };
+}
+
+// CONTRACT CHECKS
+// A JSON Schema subset: the keywords used in this document.
+function resolve(schema) {
+  return schema && schema.$ref ? COMPONENTS[schema.$ref.split('/').pop()] : schema;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function schemaProblems(input, value, at = '') {
+  const schema = resolve(input);
+  if (!schema) return [];
+  const where = at || '(root)';
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const results = options.map((option) => schemaProblems(option, value, at));
+    if (results.some((r) => r.length === 0)) return [];
+    return results.sort((a, b) => a.length - b.length)[0];
+  }
+  if ('const' in schema && value !== schema.const) return [`${where} must be ${JSON.stringify(schema.const)}`];
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      return [`${where} must be ${types.join(' or ')}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) return [`${where} must be one of: ${schema.enum.join(', ')}`];
+
+  const problems = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${where} is too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${where} is too long`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${where} has an invalid format`);
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) problems.push(`${where} must be a date-time`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${where} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${where} must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${where} has too many items`);
+    if (schema.items) value.forEach((item, i) => problems.push(...schemaProblems(schema.items, item, `${at}/${i}`)));
+  } else if (value && typeof value === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${at}/${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) problems.push(...schemaProblems(properties[key], item, `${at}/${key}`));
+      else if (schema.additionalProperties === false) problems.push(`${at}/${key} is not allowed`);
+      else if (typeof schema.additionalProperties === 'object') problems.push(...schemaProblems(schema.additionalProperties, item, `${at}/${key}`));
+    }
+  }
+  return problems;
+}
+
+// Query strings arrive as text; check them against the parameter's type
+function queryProblems(name, spec, raw) {
+  const text = String(raw);
+  const { type, enum: allowed, minimum } = spec.schema;
+  if (allowed && !allowed.includes(text)) return [`query ${name} must be one of: ${allowed.join(', ')}`];
+  if (type === 'integer' && !(/^\d+$/.test(text) && (minimum === undefined || Number(text) >= minimum))) {
+    return [`query ${name} must be a positive integer`];
+  }
+  if (type === 'boolean' && !['true', 'false'].includes(text)) return [`query ${name} must be true or false`];
+  if (spec.schema.format === 'date-time' && text !== '' && Number.isNaN(Date.parse(text))) return [`query ${name} must be a date`];
+  return [];
+}
+
+const MATCHERS = ROUTES.map((route) => ({
+  route,
+  method: route.method.toUpperCase(),
+  // Express matches with or without a trailing slash
+  pattern: new RegExp(`^${route.path.replace(/\/$/, '').replace(/[.]/g, '\\.').replace(/:(\w+)/g, '(?<$1>[^/]+?)')}/?$`),
+}));
+
+function matchRoute(method, path) {
+  for (const m of MATCHERS) {
+    if (m.method !== method && !(method === 'HEAD' && m.method === 'GET')) continue;
+    const match = m.pattern.exec(path);
+    if (match) return { route: m.route, params: match.groups || {} };
+  }
+  return null;
+}
+
+// Path and query problems; the body's are listed separately because the
+// routes answer those themselves (422 with per-field messages)
+function requestProblems(req, { route, params }) {
+  const problems = [];
+  for (const [name, value] of Object.entries(params)) {
+    if (name === 'id' && !route.path.includes('/lockouts/') && !/^[0-9a-fA-F]{24}$/.test(value)) {
+      problems.push(`path ${name} must be a 24-character hex id`);
+    }
+  }
+  for (const [name, spec] of Object.entries(route.query || {})) {
+    if (req.query[name] !== undefined) problems.push(...queryProblems(name, spec, req.query[name]));
+  }
+  return problems;
+}
+
+function bodyProblems(req, { route }) {
+  if (!route.body || !req.is('application/json')) return [];
+  return schemaProblems(route.body, req.body).map((p) => `body ${p}`);
+}
+
+function responseProblems(route, status, body) {
+  const expected = status === (route.status || 200) ? route.responses : status >= 400 ? (route.errorBodies || {})[status] || COMPONENTS.Error : null;
+  if (!expected) return status >= 300 && status < 400 ? [] : [`status ${status} is not documented`];
+  return schemaProblems(expected, body);
+}
+
+/**
+ * Express middleware checking requests and JSON responses against ROUTES.
+ * 'warn' logs mismatches; 'strict' also answers requests with a mismatching
+ * path or query with 400 and replaces mismatching responses with a 500. Body
+ * mismatches are only logged, so clients get the route's own validation errors
+ * in either mode. Unknown routes are skipped.
+ * `log` receives warn/error messages (console by default).
+ */
+function createContractCheck({ mode, log = console }) {
+  return function contractCheck(req, res, next) {
+    const match = matchRoute(req.method, req.path);
+    if (!match) return next();
+    const label = `${req.method} ${match.route.path}`;
+
+    const problems = requestProblems(req, match);
+    const bodyMismatch = bodyProblems(req, match);
+    if (problems.length || bodyMismatch.length) {
+      log.warn(`[contract] request ${label}: ${[...problems, ...bodyMismatch].join('; ')}`);
+      if (mode === 'strict' && problems.length) {
+        return res.status(400).json({ error: 'Request does not match the API contract', problems });
+      }
+    }
+
+    const send = res.send;
+    res.send = function checkedSend(body) {
+      res.send = send;
+      const type = String(res.get('Content-Type') || '');
+      if (!type.startsWith('application/json') || res.statusCode === 304 || body === undefined) return send.call(this, body);
+      let parsed;
+      try {
+        parsed = JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : body);
+      } catch (e) {
+        parsed = undefined;
+      }
+      const mismatch = parsed === undefined ? ['body is not JSON'] : responseProblems(match.route, res.statusCode, parsed);
+      if (!mismatch.length) return send.call(this, body);
+      log.error(`[contract] response ${res.statusCode} ${label}: ${mismatch.join('; ')}`);
+      if (mode !== 'strict') return send.call(this, body);
+      res.status(500);
+      return send.call(this, JSON.stringify({ error: 'Response does not match the API contract', problems: mismatch }));
+    };
+    next();
+  };
+}
+
+// DOCS PAGE
+// Self-contained (no CDN): renders openapi.json from the same directory.
+const DOCS_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>MetaInfoSci API</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 1000px; padding: 1rem 2rem; color: #222; }
+  h2 { border-bottom: 1px solid #ddd; margin-top: 2rem; }
+  details { border: 1px solid #e3e3e3; border-radius: 4px; margin: .4rem 0; }
+  summary { cursor: pointer; padding: .4rem .6rem; }
+  .method { display: inline-block; width: 4.5em; font-weight: 600; text-transform: uppercase; }
+  .get { color: #1a7f37; } .post { color: #0969da; } .put { color: #9a6700; } .delete { color: #cf222e; }
+  .path { font-family: ui-monospace, monospace; }
+  .access { color: #666; float: right; font-size: 12px; }
+  .body { padding: 0 1rem 1rem; }
+  pre { background: #f6f8fa; padding: .6rem; overflow: auto; font-size: 12px; }
+  table { border-collapse: collapse; } td, th { border: 1px solid #e3e3e3; padding: .2rem .5rem; text-align: left; }
+  .deprecated .path { text-decoration: line-through; }
+</style>
+</head>
+<body>
+<h1>MetaInfoSci API</h1>
+<p id="intro"></p>
+<p><a href="openapi.json">openapi.json</a></p>
+<div id="ops"></div>
+<script>
+fetch('openapi.json').then((r) => r.json()).then((doc) => {
+  const schemas = doc.components.schemas;
+  const esc = (s) => String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  // Inlines $refs one level deep so each operation is readable on its own
+  const expand = (schema, depth = 0) => {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (schema.$ref) {
+      const name = schema.$ref.split('/').pop();
+      return depth > 1 ? name : { [name]: expand(schemas[name], depth + 1) };
+    }
+    if (Array.isArray(schema)) return schema.map((s) => expand(s, depth));
+    return Object.fromEntries(Object.entries(schema).map(([k, v]) => [k, expand(v, depth)]));
+  };
+  const json = (value) => '<pre>' + esc(JSON.stringify(expand(value), null, 2)) + '</pre>';
+  document.getElementById('intro').textContent = doc.info.description;
+  const groups = {};
+  for (const [path, ops] of Object.entries(doc.paths)) {
+    for (const [method, op] of Object.entries(ops)) (groups[op.tags[0]] = groups[op.tags[0]] || []).push({ path, method, op });
+  }
+  let html = '';
+  for (const [tag, ops] of Object.entries(groups)) {
+    html += '<h2>' + esc(tag) + '</h2>';
+    for (const { path, method, op } of ops) {
+      const access = Array.isArray(op['x-access']) ? op['x-access'].join(', ') : op['x-access'];
+      html += '<details class="' + (op.deprecated ? 'deprecated' : '') + '"><summary><span class="method ' + method + '">' + method + '</span>' +
+        '<span class="path">' + esc(path) + '</span> ' + esc(op.summary) + '<span class="access">' + esc(access) + '</span></summary><div class="body">';
+      if (op.parameters) {
+        html += '<h4>Parameters</h4><table><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr>' +
+          op.parameters.map((p) => '<tr><td>' + esc(p.name) + '</td><td>' + p.in + '</td><td>' + esc(p.schema.enum ? p.schema.enum.join(' | ') : p.schema.type) +
+            '</td><td>' + esc(p.description || '') + '</td></tr>').join('') + '</table>';
+      }
+      if (op.requestBody) {
+        for (const [type, media] of Object.entries(op.requestBody.content)) html += '<h4>Request body (' + esc(type) + ')</h4>' + json(media.schema);
+      }
+      for (const [status, response] of Object.entries(op.responses)) {
+        html += '<h4>' + status + ' ' + esc(response.description) + '</h4>';
+        for (const [type, media] of Object.entries(response.content || {})) {
+          html += Number(status) < 400 ? '<div>' + esc(type) + '</div>' + json(media.schema) : '';
+        }
+      }
+      html += '</div></details>';
+    }
+  }
+  document.getElementById('ops').innerHTML = html;
+});
+</script>
+</body>
+</html>
+`;
+
+module.exports = { buildDocument, routeDrift, createContractCheck, DOCS_HTML };
@@ -0,0 +1,50 @@
+// backend/password-policy.cjs
+// Rules every new password must meet (existing passwords are not re-checked):
+// a minimum length and how many of lowercase / uppercase / digits / symbols it
+// must mix (PASSWORD_MIN_LENGTH / PASSWORD_MIN_CLASSES, see config.cjs).
+// Passwords on the bundled common-passwords.txt list, or containing the
+// username, are always rejected.
+
+const fs = require('fs');
+const path = require('path');
+
+const PASSWORD_MAX_LENGTH = 256;
+
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(path.join(__dirname, 'common-passwords.txt'), 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+);
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/];
+
+/**
+ * Returns `{ checkPassword, describePasswordPolicy }` for the given limits.
+ * `checkPassword(password, { username })` says why the password is not
+ * acceptable, or returns null when it is.
+ */
+function createPasswordPolicy({ minLength = 10, minClasses = 1 } = {}) {
+  function checkPassword(password, { username } = {}) {
+    if (typeof password !== 'string') return 'must be a string';
+    if (password.length < minLength) return `must be at least ${minLength} characters`;
+    if (password.length > PASSWORD_MAX_LENGTH) return `must be at most ${PASSWORD_MAX_LENGTH} characters`;
+    const classes = CHARACTER_CLASSES.filter((re) => re.test(password)).length;
+    if (classes < minClasses) {
+      return `must mix at least ${minClasses} of: lowercase letters, uppercase letters, digits, symbols`;
+    }
+    if (COMMON_PASSWORDS.has(password.toLowerCase())) return 'is too common';
+    if (username && password.toLowerCase().includes(username.toLowerCase())) return 'must not contain the username';
+    return null;
+  }
+
+  // Summary for clients that show the rules next to the password field
+  function describePasswordPolicy() {
+    return { minLength, maxLength: PASSWORD_MAX_LENGTH, minClasses };
+  }
+
+  return { checkPassword, describePasswordPolicy };
+}
+
+module.exports = { createPasswordPolicy };
@@ -0,0 +1,42 @@
+// backend/rate-limit.cjs
+// Fixed-window request limits kept in process memory. Counters are per server
+// process, so N instances behind a load balancer allow up to N times the limit.
+
+/**
+ * Express middleware allowing `max` requests per `windowMs` for each key
+ * (the client IP by default). Requests over the limit get 429 with Retry-After;
+ * `skip(req)` exempts requests and `max: 0` disables the limiter.
+ */
+function createRateLimiter({ windowMs, max, keyOf = (req) => req.ip, skip = () => false, message = 'Too many requests' }) {
+  const windows = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return function rateLimit(req, res, next) {
+    if (!max || skip(req)) return next();
+    const now = Date.now();
+    const key = keyOf(req);
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+    if (entry.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: message, retry_after: resetSeconds });
+    }
+    next();
+  };
+}
+
+module.exports = { createRateLimiter };
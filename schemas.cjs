@@ -0,0 +1,211 @@
+// backend/schemas.cjs
+// Declarative field schemas shared by the create (POST) and update (PUT) routes
+
+// Fields the admin UI echoes back from GET responses; they are server-managed
+// or derived (`visibility`), so they are accepted in payloads but never written.
+// `previous_slugs` only changes along with `slug`.
+const READ_ONLY_FIELDS = ['id', 'createdAt', 'updatedAt', 'visibility', 'previous_slugs'];
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Absolute http(s) URLs, site-relative paths, the '#' placeholder used by the
+// seed data and `media:<id>` references to uploaded files
+const URL_PATTERN = /^(https?:\/\/[^\s]+|\/[^\s]*|#|media:[a-f0-9]{24})$/;
+
+// Editable URL slug; generated from the title or name when left out (see slugs.cjs)
+const SLUG_RULE = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 100,
+  pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+  patternMessage: 'must be lowercase letters and digits separated by single "-"',
+};
+
+const eventSchema = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 300 },
+  slug: SLUG_RULE,
+  description: { type: 'string', maxLength: 10000, default: '' },
+  // Display string; generated from start_date/end_date when omitted
+  date: { type: 'string', maxLength: 200 },
+  start_date: { type: 'date', nullable: true },
+  end_date: { type: 'date', nullable: true, endOfDay: true },
+  location: { type: 'string', maxLength: 500, default: '' },
+  images: { type: 'array', maxItems: 50, items: { type: 'string', format: 'url', maxLength: 2048 }, default: [] },
+  category: { type: 'string', maxLength: 64, default: '' },
+  link: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  // Only used for events without structured dates; otherwise derived
+  status: { type: 'string', maxLength: 64, default: '' },
+  attendees: { type: 'integer', min: 0 },
+  published: { type: 'boolean', default: true },
+  publish_at: { type: 'date', nullable: true, default: null },
+  unpublish_at: { type: 'date', nullable: true, default: null },
+};
+
+const teamMemberSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  slug: SLUG_RULE,
+  affiliation: { type: 'string', maxLength: 500, default: '' },
+  position1: { type: 'string', maxLength: 300, default: '' },
+  position2: { type: 'string', maxLength: 300, default: '' },
+  avatar_url: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  scholar_url: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  linkedin_url: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  position1_link: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  position2_link: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  affiliation_link: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  order: { type: 'number', default: 0 },
+  published: { type: 'boolean', default: true },
+  publish_at: { type: 'date', nullable: true, default: null },
+  unpublish_at: { type: 'date', nullable: true, default: null },
+};
+
+const manualSchema = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 300 },
+  slug: SLUG_RULE,
+  description: { type: 'string', maxLength: 10000, default: '' },
+  video_url: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  thumbnail_url: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  manual_pdf_url: { type: 'string', format: 'url', maxLength: 2048, default: '' },
+  order: { type: 'number', default: 0 },
+  published: { type: 'boolean', default: true },
+  publish_at: { type: 'date', nullable: true, default: null },
+  unpublish_at: { type: 'date', nullable: true, default: null },
+};
+
+const categorySchema = {
+  value: { type: 'string', required: true, minLength: 1, maxLength: 64, pattern: /^[a-z0-9][a-z0-9_-]*$/, patternMessage: 'must be lowercase letters, digits, "-" or "_"' },
+  label: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  // New categories are appended after the existing ones when omitted
+  order: { type: 'number' },
+};
+
+const userSchema = {
+  username: { type: 'string', required: true, minLength: 1, maxLength: 64, pattern: /^[A-Za-z0-9._-]+$/, patternMessage: 'may only contain letters, digits, ".", "_" or "-"' },
+  // Strength rules live in password-policy.cjs
+  password: { type: 'string', required: true, minLength: 1, maxLength: 256 },
+  role: { type: 'string', enum: ['owner', 'editor', 'viewer'] },
+};
+
+const insightPointSchema = {
+  total_users: { type: 'integer', min: 0 },
+  total_publications: { type: 'integer', min: 0 },
+  // When the figures were taken; defaults to the time they are received
+  at: { type: 'date' },
+};
+const INSIGHT_METRICS = ['total_users', 'total_publications'];
+
+// Checks a validated point beyond its fields (the stored point when correcting one)
+function checkInsightPoint(value, before = {}) {
+  if (!INSIGHT_METRICS.some((m) => value[m] !== undefined || before[m] !== undefined)) {
+    return { _body: `must include ${INSIGHT_METRICS.join(' or ')}` };
+  }
+  if (value.at instanceof Date && value.at > new Date(Date.now() + 5 * 60 * 1000)) {
+    return { at: 'must not be in the future' };
+  }
+  return null;
+}
+
+function checkField(rule, input) {
+  if (input === null) {
+    return rule.nullable ? { value: null } : { error: 'must not be null' };
+  }
+
+  let value = input;
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { error: rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+      if (rule.enum && !rule.enum.includes(value)) return { error: `must be one of: ${rule.enum.join(', ')}` };
+      if (rule.pattern && !rule.pattern.test(value)) return { error: rule.patternMessage || 'has an invalid format' };
+      if (rule.format === 'url' && value !== '' && !URL_PATTERN.test(value)) return { error: 'must be an http(s) URL, a path starting with "/" or media:<id>' };
+      break;
+    case 'number':
+    case 'integer':
+      // Numeric strings are accepted because HTML number inputs submit strings
+      if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (rule.type === 'integer' && !Number.isInteger(value)) return { error: 'must be an integer' };
+      if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+      break;
+    case 'date': {
+      // ISO 8601 strings; a bare "YYYY-MM-DD" means that calendar day (UTC),
+      // and with `endOfDay` its last millisecond. Empty form inputs send ''.
+      if (value === '' && rule.nullable) return { value: null };
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return { error: 'must be an ISO date (YYYY-MM-DD)' };
+      const dateOnly = DATE_ONLY_PATTERN.test(value);
+      const parsed = new Date(dateOnly ? `${value}T${rule.endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+      if (Number.isNaN(parsed.getTime())) return { error: 'must be a valid date' };
+      value = parsed;
+      break;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      break;
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'must be an array' };
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) return { error: `must have at most ${rule.maxItems} items` };
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const item = checkField(rule.items, value[i]);
+        if (item.error) return { error: `item ${i} ${item.error}` };
+        items.push(item.value);
+      }
+      value = items;
+      break;
+    }
+    default:
+      throw new Error(`Unknown schema type: ${rule.type}`);
+  }
+  return { value };
+}
+
+/**
+ * Validates a request payload against a schema.
+ * With `partial: true` (updates) only the supplied fields are checked and no
+ * defaults are applied. Returns `{ value, errors }` where `errors` maps each
+ * failing field to a message, or is null when the payload is valid.
+ */
+function validate(schema, payload, { partial = false } = {}) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { value: null, errors: { _body: 'must be a JSON object' } };
+  }
+
+  const errors = {};
+  const value = {};
+
+  for (const key of Object.keys(payload)) {
+    if (!(key in schema) && !READ_ONLY_FIELDS.includes(key)) errors[key] = 'is not an allowed field';
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    if (payload[key] === undefined) {
+      if (partial) continue;
+      if (rule.required) errors[key] = 'is required';
+      else if (rule.default !== undefined) value[key] = Array.isArray(rule.default) ? [...rule.default] : rule.default;
+      continue;
+    }
+    const result = checkField(rule, payload[key]);
+    if (result.error) errors[key] = result.error;
+    else value[key] = result.value;
+  }
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+module.exports = {
+  READ_ONLY_FIELDS,
+  SLUG_RULE,
+  eventSchema,
+  teamMemberSchema,
+  manualSchema,
+  categorySchema,
+  userSchema,
+  insightPointSchema,
+  INSIGHT_METRICS,
+  checkInsightPoint,
+  validate,
+};
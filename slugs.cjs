@@ -0,0 +1,66 @@
+// backend/slugs.cjs
+// Human-readable URL slugs for events, team members and manuals, e.g.
+// /events/one-week-scientometrics-workshop-2025. A record keeps its slug when
+// its title changes; a slug an editor replaces moves to `previous_slugs`, so
+// old links still resolve (the public routes redirect them). Slugs are unique
+// per collection, counting trashed records and previous slugs.
+
+const { SLUG_RULE } = require('./schemas.cjs');
+
+// The field each collection's slugs are generated from
+const SLUG_SOURCES = {
+  gallery_events: 'title',
+  team_members: 'name',
+  user_manuals: 'title',
+};
+
+// "Café Workshop: R & Python!" -> "cafe-workshop-r-and-python"
+function slugify(text, maxLength = 80) {
+  const slug = String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (slug.length <= maxLength) return slug;
+  const cut = slug.slice(0, maxLength + 1);
+  return cut.slice(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : maxLength).replace(/-+$/, '');
+}
+
+// Events also carry their start year unless the title already names it
+function slugBase(collectionName, doc) {
+  let base = slugify(doc[SLUG_SOURCES[collectionName]]);
+  if (collectionName === 'gallery_events' && doc.start_date instanceof Date) {
+    const year = String(doc.start_date.getUTCFullYear());
+    if (!base.split('-').includes(year)) base = base ? `${base}-${year}` : year;
+  }
+  return base || 'item';
+}
+
+async function slugTaken(collection, slug, exceptId) {
+  const filter = { $or: [{ slug }, { previous_slugs: slug }] };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return Boolean(await collection.findOne(filter));
+}
+
+/**
+ * `base`, or `base-2`, `base-3`, ... whichever is free in `collection`
+ * (ignoring the record `exceptId`). `reserved` holds slugs already handed out
+ * but not yet stored, e.g. earlier records of the same import.
+ */
+async function uniqueSlug(collection, base, { exceptId, reserved = new Set() } = {}) {
+  for (let n = 1; ; n++) {
+    const suffix = n === 1 ? '' : `-${n}`;
+    const slug = `${base.slice(0, SLUG_RULE.maxLength - suffix.length).replace(/-+$/, '')}${suffix}`;
+    if (!reserved.has(slug) && !(await slugTaken(collection, slug, exceptId))) return slug;
+  }
+}
+
+// `previous_slugs` for `doc` once its slug becomes `slug`
+function previousSlugs(doc, slug) {
+  const previous = (doc.previous_slugs || []).filter((s) => s !== slug);
+  return doc.slug && doc.slug !== slug ? [...previous, doc.slug] : previous;
+}
+
+module.exports = { SLUG_SOURCES, slugify, slugBase, slugTaken, uniqueSlug, previousSlugs };
@@ -0,0 +1,90 @@
+// backend/storage.cjs
+// Storage backends behind one interface, selected with STORAGE:
+//   mongodb (default)  MONGODB_URI / DB_NAME
+//   memory             in-process, lost on restart unless STORAGE_FILE names a
+//                      JSON file to load from and save to
+//
+// A storage exposes:
+//   connect() / close() / ping()
+//   collection(name)  the MongoDB driver's Collection API; the memory backend
+//                     implements the subset the server uses (see memory-store.cjs)
+//   bucket(name)      a GridFS bucket (openUploadStream, openDownloadStream, find, delete)
+//   transaction(fn)   runs fn(session) in a transaction where the server has
+//                     them (replica sets, sharded clusters); elsewhere fn(undefined)
+//                     runs as plain writes, so callers still handle partial failure
+
+const { MongoClient, GridFSBucket } = require('mongodb');
+const { MemoryStore } = require('./memory-store.cjs');
+
+function createMongoStorage({ uri, dbName, serverSelectionTimeoutMS }) {
+  const client = new MongoClient(uri, { retryWrites: true, serverSelectionTimeoutMS });
+  let db = null;
+  let transactions = false;
+  return {
+    kind: 'mongodb',
+    async connect() {
+      await client.connect();
+      db = client.db(dbName);
+      const hello = await db.admin().command({ hello: 1 });
+      transactions = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    },
+    collection: (name) => db.collection(name),
+    bucket: (name) => new GridFSBucket(db, { bucketName: name }),
+    ping: () => db.command({ ping: 1 }),
+    async transaction(fn) {
+      if (!transactions) return fn(undefined);
+      const session = client.startSession();
+      try {
+        return await session.withTransaction(() => fn(session));
+      } finally {
+        await session.endSession();
+      }
+    },
+    close: () => client.close(),
+  };
+}
+
+function createMemoryStorage({ file, onSaveError } = {}) {
+  const store = new MemoryStore({ file, onSaveError });
+  return {
+    kind: 'memory',
+    connect: () => store.connect(),
+    collection: (name) => store.collection(name),
+    bucket: (name) => store.bucket(name),
+    ping: () => store.ping(),
+    transaction: (fn) => fn(undefined),
+    close: () => store.close(),
+  };
+}
+
+/**
+ * Builds the storage named by `kind` ('mongodb' | 'memory'). Throws when the
+ * MongoDB backend is chosen without a connection string. `onSaveError` receives
+ * failed background writes of a file-backed memory store.
+ */
+function createStorage({ kind = 'mongodb', uri, dbName, file, serverSelectionTimeoutMS, onSaveError } = {}) {
+  if (kind === 'memory') return createMemoryStorage({ file, onSaveError });
+  if (kind !== 'mongodb') throw new Error(`Unknown STORAGE "${kind}" (expected mongodb or memory)`);
+  if (!uri) throw new Error('Missing MONGODB_URI in backend/.env (set STORAGE=memory to run without MongoDB)');
+  return createMongoStorage({ uri, dbName, serverSelectionTimeoutMS });
+}
+
+/**
+ * Calls `storage.connect()`, retrying a failed attempt up to `retries` times.
+ * The wait starts at `delayMs` and doubles each time, up to 30 seconds;
+ * `onRetry(err, attempt, waitMs)` is told about every failure that is retried.
+ */
+async function connectWithRetry(storage, { retries = 0, delayMs = 500, onRetry = () => {} } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await storage.connect();
+    } catch (err) {
+      if (attempt > retries) throw err;
+      const waitMs = Math.min(delayMs * 2 ** (attempt - 1), 30 * 1000);
+      onRetry(err, attempt, waitMs);
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+  }
+}
+
+module.exports = { createStorage, connectWithRetry };
@@ -0,0 +1,64 @@
+// backend/test/app.test.cjs
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers.cjs');
+
+describe('createApp', () => {
+  let a;
+  let b;
+  let token;
+  before(async () => {
+    [a, b] = await Promise.all([startServer(), startServer()]);
+    token = await a.signIn();
+  });
+  after(async () => {
+    await Promise.all([a.close(), b.close()]);
+  });
+
+  it('reports ready once storage is connected', async () => {
+    const res = await a.request('GET', '/health/ready');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ready');
+    assert.equal(res.body.database.status, 'connected');
+  });
+
+  it('keeps the data of each app apart', async () => {
+    const created = await a.request('POST', '/admin-services/team-members/', { token, body: { name: 'Ana' } });
+    assert.equal(created.status, 201);
+
+    // b has no users yet, so its first account is a bootstrap one again
+    const tokenB = await b.signIn();
+    const listed = await b.request('GET', '/admin-services/team-members/', { token: tokenB });
+    assert.deepEqual(listed.body, []);
+  });
+
+  it('requires a session outside the public routes', async () => {
+    const res = await a.request('GET', '/admin-services/gallery-events/');
+    assert.equal(res.status, 401);
+    const open = await a.request('GET', '/admin-services/public/gallery-events/');
+    assert.equal(open.status, 200);
+  });
+
+  it('rejects viewers on writes', async () => {
+    const viewer = await a.signIn('viewer', 'viewer', token);
+    const res = await a.request('POST', '/admin-services/user-manuals/', { token: viewer, body: { title: 'Guide' } });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('bootstrap', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.close());
+
+  it('creates a single first owner from concurrent requests', async () => {
+    const create = (username) =>
+      server.request('POST', '/admin-services/users/', { body: { username, password: 'correct horse battery' } });
+    const results = await Promise.all([create('first'), create('second'), create('third')]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [201, 401, 401]);
+    assert.equal(await server.storage.collection('users').countDocuments(), 1);
+  });
+});
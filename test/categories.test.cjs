@@ -0,0 +1,78 @@
+// backend/test/categories.test.cjs
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers.cjs');
+
+describe('categories', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.signIn();
+  });
+  after(() => server.close());
+
+  const list = async () => (await server.request('GET', '/admin-services/events/categories/', { token })).body;
+
+  it('starts with the default categories', async () => {
+    assert.deepEqual((await list()).map((c) => c.value), ['workshop', 'conference', 'seminar']);
+  });
+
+  it('moves events along when a category is renamed', async () => {
+    const event = await server.request('POST', '/admin-services/gallery-events/', { token, body: { title: 'Talk', category: 'seminar' } });
+    const seminar = (await list()).find((c) => c.value === 'seminar');
+    const res = await server.request('PUT', `/admin-services/events/categories/${seminar.id}`, { token, body: { value: 'lecture' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.events_updated, 1);
+    const moved = await server.request('GET', `/admin-services/gallery-events/${event.body.data.id}`, { token });
+    assert.equal(moved.body.category, 'lecture');
+  });
+
+  it('finishes an interrupted rename when the request is repeated', async () => {
+    const event = await server.request('POST', '/admin-services/gallery-events/', { token, body: { title: 'Meetup', category: 'conference' } });
+    const conference = (await list()).find((c) => c.value === 'conference');
+    const events = server.storage.collection('gallery_events');
+    const { updateMany } = events;
+    events.updateMany = async () => {
+      events.updateMany = updateMany;
+      throw new Error('connection lost');
+    };
+    const path = `/admin-services/events/categories/${conference.id}`;
+    const failed = await server.request('PUT', path, { token, body: { value: 'congress' } });
+    assert.equal(failed.status, 500);
+
+    const retried = await server.request('PUT', path, { token, body: { value: 'congress' } });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.events_updated, 1);
+    const moved = await server.request('GET', `/admin-services/gallery-events/${event.body.data.id}`, { token });
+    assert.equal(moved.body.category, 'congress');
+  });
+
+  it('finishes an interrupted delete when the request is repeated', async () => {
+    const event = await server.request('POST', '/admin-services/gallery-events/', { token, body: { title: 'Class', category: 'workshop' } });
+    const workshop = (await list()).find((c) => c.value === 'workshop');
+    const categories = server.storage.collection('event_categories');
+    const { deleteOne } = categories;
+    categories.deleteOne = async () => {
+      categories.deleteOne = deleteOne;
+      throw new Error('connection lost');
+    };
+    const path = `/admin-services/events/categories/${workshop.id}?replacement=lecture`;
+    const failed = await server.request('DELETE', path, { token });
+    assert.equal(failed.status, 500);
+
+    const retried = await server.request('DELETE', path, { token });
+    assert.equal(retried.status, 200);
+    assert.ok(!(await list()).some((c) => c.value === 'workshop'));
+    const moved = await server.request('GET', `/admin-services/gallery-events/${event.body.data.id}`, { token });
+    assert.equal(moved.body.category, 'lecture');
+  });
+
+  it('does not write when listing', async () => {
+    const categories = server.storage.collection('event_categories');
+    await categories.deleteMany({});
+    assert.deepEqual(await list(), []);
+    assert.equal(await categories.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,34 @@
+// backend/test/cli.test.cjs
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Runs a script from the backend directory with only the given settings
+function run(script, args, env) {
+  return spawnSync(process.execPath, [path.join(__dirname, '..', script), ...args], {
+    env: { PATH: process.env.PATH, ...env },
+    encoding: 'utf8',
+    timeout: 30 * 1000,
+  });
+}
+
+describe('command-line scripts', () => {
+  for (const [script, args] of [
+    ['migrate.cjs', ['--status']],
+    ['transfer-data.cjs', ['export']],
+  ]) {
+    it(`${script} stops on invalid configuration`, () => {
+      const result = run(script, args, { STORAGE: 'mongodb', MONGODB_URI: 'localhost:27017' });
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /MONGODB_URI must start with mongodb:\/\//);
+    });
+  }
+
+  it('migrate.cjs reads the storage settings through the config', () => {
+    const result = run('migrate.cjs', ['--status'], { STORAGE: 'memory' });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /pending\s+001-create-indexes/);
+  });
+});
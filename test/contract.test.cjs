@@ -0,0 +1,34 @@
+// backend/test/contract.test.cjs
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers.cjs');
+
+describe('contract checks', () => {
+  const servers = {};
+  const tokens = {};
+  before(async () => {
+    for (const mode of ['off', 'strict']) {
+      servers[mode] = await startServer({ API_CONTRACT_CHECKS: mode });
+      tokens[mode] = await servers[mode].signIn();
+    }
+  });
+  after(() => Promise.all(Object.values(servers).map((s) => s.close())));
+
+  it('leave body validation errors to the routes', async () => {
+    const [off, strict] = await Promise.all(
+      ['off', 'strict'].map((mode) =>
+        servers[mode].request('POST', '/admin-services/user-manuals/', { token: tokens[mode], body: { title: '', order: 3 } })
+      )
+    );
+    assert.equal(strict.status, 422);
+    assert.deepEqual(strict.body, off.body);
+    assert.ok(strict.body.fields.title);
+  });
+
+  it('answer a mismatching query with 400 in strict mode', async () => {
+    const res = await servers.strict.request('GET', '/admin-services/gallery-events/?page=0', { token: tokens.strict });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.problems.length);
+  });
+});
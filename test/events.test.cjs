@@ -0,0 +1,173 @@
+// backend/test/events.test.cjs
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers.cjs');
+const { runMigrations } = require('../migrate.cjs');
+
+describe('events', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.signIn();
+  });
+  after(() => server.close());
+
+  const create = (body) => server.request('POST', '/admin-services/gallery-events/', { token, body });
+
+  it('derives dates and status from the display date', async () => {
+    const res = await create({ title: 'Network science workshop', date: 'July 14 to 18, 2025' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.start_date, '2025-07-14T00:00:00.000Z');
+    assert.equal(res.body.data.end_date, '2025-07-18T23:59:59.999Z');
+    assert.equal(res.body.data.status, 'Concluded');
+  });
+
+  it('validates the payload', async () => {
+    const res = await create({ title: '' });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.fields.title, 'must not be empty');
+  });
+
+  it('hides drafts from the public listing', async () => {
+    await create({ title: 'Draft event', published: false });
+    const admin = await server.request('GET', '/admin-services/gallery-events/', { token });
+    const pub = await server.request('GET', '/admin-services/public/gallery-events/');
+    assert.ok(admin.body.some((e) => e.title === 'Draft event'));
+    assert.ok(!pub.body.some((e) => e.title === 'Draft event'));
+  });
+
+  it('gets one event by id', async () => {
+    const { body } = await create({ title: 'By id' });
+    const res = await server.request('GET', `/admin-services/gallery-events/${body.data.id}`, { token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, 'By id');
+    const missing = await server.request('GET', '/admin-services/gallery-events/0123456789abcdef01234567', { token });
+    assert.equal(missing.status, 404);
+  });
+
+  it('moves deleted events to the trash', async () => {
+    const { body } = await create({ title: 'Short-lived' });
+    const del = await server.request('DELETE', `/admin-services/gallery-events/${body.data.id}`, { token });
+    assert.equal(del.status, 200);
+    const res = await server.request('GET', `/admin-services/gallery-events/${body.data.id}`, { token });
+    assert.equal(res.status, 404);
+    const trash = await server.request('GET', '/admin-services/trash/', { token });
+    assert.ok(trash.body.some((t) => t.id === body.data.id));
+  });
+
+  it('keeps the trashed event in the audit log', async () => {
+    const { body } = await create({ title: 'Audited', location: 'Room 4' });
+    await server.request('DELETE', `/admin-services/gallery-events/${body.data.id}`, { token });
+    const audit = await server.request('GET', `/admin-services/audit-log/?target=${body.data.id}`, { token });
+    const entry = audit.body.data.find((e) => e.action === 'trash');
+    assert.deepEqual(entry.changes.title, { from: 'Audited', to: null });
+    assert.deepEqual(entry.changes.location, { from: 'Room 4', to: null });
+    assert.equal(entry.changes.deletedAt.from, null);
+    assert.ok(entry.changes.deletedAt.to);
+  });
+});
+
+describe('slugs', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.signIn();
+  });
+  after(() => server.close());
+
+  it('gives demo events seeded after the slug migration a slug', async () => {
+    const fresh = await startServer();
+    try {
+      await runMigrations(fresh.storage, { seed: true, log: () => {} });
+      const res = await fresh.request('GET', '/admin-services/public/gallery-events/hands-on-session-on-metainfosci-2025');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.title, 'Hands-on session on MetaInfoSci');
+    } finally {
+      await fresh.close();
+    }
+  });
+
+  it('generates unique slugs from the title and start year', async () => {
+    const body = { title: 'One Week Scientometrics Workshop', start_date: '2025-07-14' };
+    const first = await server.request('POST', '/admin-services/gallery-events/', { token, body });
+    const second = await server.request('POST', '/admin-services/gallery-events/', { token, body });
+    assert.equal(first.body.data.slug, 'one-week-scientometrics-workshop-2025');
+    assert.equal(second.body.data.slug, 'one-week-scientometrics-workshop-2025-2');
+  });
+
+  it('refuses a slug that is taken', async () => {
+    const res = await server.request('POST', '/admin-services/user-manuals/', { token, body: { title: 'A', slug: 'guide' } });
+    assert.equal(res.status, 201);
+    const clash = await server.request('POST', '/admin-services/user-manuals/', { token, body: { title: 'B', slug: 'guide' } });
+    assert.equal(clash.status, 409);
+  });
+
+  it('serves published records by slug and redirects replaced slugs', async () => {
+    const created = await server.request('POST', '/admin-services/team-members/', { token, body: { name: 'José Núñez' } });
+    assert.equal(created.body.data.slug, 'jose-nunez');
+    const id = created.body.data.id;
+    const renamed = await server.request('PUT', `/admin-services/team-members/${id}`, { token, body: { slug: 'jose' } });
+    assert.deepEqual(renamed.body.data.previous_slugs, ['jose-nunez']);
+
+    const current = await server.request('GET', '/admin-services/public/team-members/jose');
+    assert.equal(current.status, 200);
+    assert.equal(current.body.name, 'José Núñez');
+    const old = await server.request('GET', '/admin-services/public/team-members/jose-nunez');
+    assert.equal(old.status, 301);
+    assert.equal(old.headers.get('location'), '/admin-services/public/team-members/jose');
+  });
+
+  it('gives a record stored without a slug one when it is next saved', async () => {
+    const now = new Date();
+    const { insertedId } = await server.storage
+      .collection('team_members')
+      .insertOne({ name: 'Seeded Member', createdAt: now, updatedAt: now });
+    const res = await server.request('PUT', `/admin-services/team-members/${insertedId}`, { token, body: { affiliation: 'BMU' } });
+    assert.equal(res.body.data.slug, 'seeded-member');
+  });
+
+  it('does not serve drafts by slug', async () => {
+    await server.request('POST', '/admin-services/user-manuals/', { token, body: { title: 'Hidden', published: false } });
+    const res = await server.request('GET', '/admin-services/public/user-manuals/hidden');
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('saving a fetched record', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.signIn();
+  });
+  after(() => server.close());
+
+  for (const [type, body] of [
+    ['gallery-events', { title: 'Round trip', date: 'May 2, 2025', publish_at: '2099-01-01T00:00:00.000Z' }],
+    ['team-members', { name: 'Round trip' }],
+    ['user-manuals', { title: 'Round trip', published: false }],
+  ]) {
+    it(`accepts a ${type} GET response back unchanged`, async () => {
+      const created = await server.request('POST', `/admin-services/${type}/`, { token, body });
+      const fetched = await server.request('GET', `/admin-services/${type}/${created.body.data.id}`, { token });
+      assert.ok(fetched.body.visibility);
+      const saved = await server.request('PUT', `/admin-services/${type}/${fetched.body.id}`, { token, body: fetched.body });
+      assert.equal(saved.status, 200, JSON.stringify(saved.body));
+      assert.equal(saved.body.data.visibility, fetched.body.visibility);
+    });
+  }
+
+  it('accepts previous_slugs back after a rename', async () => {
+    const created = await server.request('POST', '/admin-services/team-members/', { token, body: { name: 'Renamed' } });
+    const id = created.body.data.id;
+    await server.request('PUT', `/admin-services/team-members/${id}`, { token, body: { slug: 'renamed-member' } });
+    const fetched = await server.request('GET', `/admin-services/team-members/${id}`, { token });
+    assert.deepEqual(fetched.body.previous_slugs, ['renamed']);
+    const saved = await server.request('PUT', `/admin-services/team-members/${id}`, { token, body: fetched.body });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.deepEqual(saved.body.data.previous_slugs, ['renamed']);
+  });
+});
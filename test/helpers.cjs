@@ -0,0 +1,56 @@
+// backend/test/helpers.cjs
+// Runs an app on a fresh in-memory store for route tests. Contract checks are
+// strict, so a response that drifts from openapi.cjs fails the request (500).
+
+const { createApp } = require('../backend.cjs');
+const { createStorage } = require('../storage.cjs');
+
+const PASSWORD = 'correct horse battery';
+
+async function startServer(env = {}) {
+  const storage = createStorage({ kind: 'memory' });
+  const app = await createApp({
+    storage,
+    env: { LOG_LEVEL: 'error', SESSION_SECRET: 'test-secret', BCRYPT_COST: '4', API_CONTRACT_CHECKS: 'strict', ...env },
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // { status, headers, body } with a parsed JSON body when there is one;
+  // `csv` sends a text/csv body instead of JSON
+  async function request(method, path, { token, body, csv } = {}) {
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (csv !== undefined) headers['content-type'] = 'text/csv';
+    else if (body !== undefined) headers['content-type'] = 'application/json';
+    const res = await fetch(base + path, {
+      method,
+      headers,
+      redirect: 'manual',
+      body: csv ?? (body === undefined ? undefined : JSON.stringify(body)),
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  // Creates the account (the first one bootstraps the install) and returns a session token
+  async function signIn(username = 'owner', role = 'owner', token) {
+    const created = await request('POST', '/admin-services/users/', { token, body: { username, password: PASSWORD, role } });
+    if (created.status !== 201) throw new Error(`Creating ${username} failed: ${JSON.stringify(created.body)}`);
+    const login = await request('POST', '/admin-services/users/login', { body: { username, password: PASSWORD } });
+    return login.body.token;
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await storage.close();
+  }
+
+  return { request, signIn, close, storage };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,45 @@
+// backend/test/order.test.cjs
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers.cjs');
+
+describe('reordering', () => {
+  let server;
+  let token;
+  let ids;
+  before(async () => {
+    server = await startServer();
+    token = await server.signIn();
+    ids = [];
+    for (const title of ['First', 'Second', 'Third']) {
+      const res = await server.request('POST', '/admin-services/user-manuals/', { token, body: { title } });
+      ids.push(res.body.data.id);
+    }
+    await server.request('PUT', '/admin-services/user-manuals/order', { token, body: { ids } });
+  });
+  after(() => server.close());
+
+  const titles = async () => (await server.request('GET', '/admin-services/user-manuals/', { token })).body.map((m) => m.title);
+
+  it('rewrites the order', async () => {
+    const res = await server.request('PUT', '/admin-services/user-manuals/order', { token, body: { ids: [ids[2], ids[0], ids[1]] } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await titles(), ['Third', 'First', 'Second']);
+  });
+
+  it('keeps the previous order when the write fails partway', async () => {
+    const manuals = server.storage.collection('user_manuals');
+    const { bulkWrite } = manuals;
+    // Applies the first update, then fails like an interrupted ordered bulk write
+    manuals.bulkWrite = async function (operations, options) {
+      manuals.bulkWrite = bulkWrite;
+      await bulkWrite.call(this, operations.slice(0, 1), options);
+      throw new Error('connection lost');
+    };
+    const res = await server.request('PUT', '/admin-services/user-manuals/order', { token, body: { ids } });
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /previous order was kept/);
+    assert.deepEqual(await titles(), ['Third', 'First', 'Second']);
+  });
+});
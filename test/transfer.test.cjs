@@ -0,0 +1,97 @@
+// backend/test/transfer.test.cjs
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers.cjs');
+
+const bundle = (collections) => ({ format: 'metainfosci-export', version: 1, collections });
+
+describe('import', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer();
+    token = await server.signIn();
+  });
+  after(() => server.close());
+
+  const importBundle = (body, query = '') => server.request('POST', `/admin-services/import/${query}`, { token, body });
+
+  it('checks insight points like the ingest route', async () => {
+    const res = await importBundle(bundle({ insight_points: [{}] }), '?dry_run=true');
+    assert.equal(res.body.errors.length, 1);
+    assert.match(res.body.errors[0].fields._body, /total_users or total_publications/);
+  });
+
+  it('dates imported points without `at`', async () => {
+    const res = await importBundle(bundle({ insight_points: [{ total_users: 7 }] }));
+    assert.equal(res.status, 200);
+    const points = await server.request('GET', '/admin-services/platform-insights/points', { token });
+    assert.ok(points.body.data[0].at);
+  });
+
+  it('refuses events in unknown categories even when forced', async () => {
+    const res = await importBundle(bundle({ gallery_events: [{ title: 'Lost', category: 'nope' }] }), '?force=true');
+    assert.equal(res.status, 422);
+    assert.ok(res.body.errors[0].fields.category);
+  });
+
+  it('dates imported events from their display date', async () => {
+    const csv = 'title,date,start_date,end_date\r\nFrom CSV,"July 14 to 18, 2025",,\r\n';
+    await importBundle(bundle({ gallery_events: [{ title: 'From JSON', date: 'September 30, 2025' }] }));
+    const res = await server.request('POST', '/admin-services/import/?collection=gallery_events', { token, csv });
+    assert.equal(res.status, 200);
+    const events = server.storage.collection('gallery_events');
+    const json = await events.findOne({ title: 'From JSON' });
+    assert.equal(json.start_date.toISOString(), '2025-09-30T00:00:00.000Z');
+    const fromCsv = await events.findOne({ title: 'From CSV' });
+    assert.equal(fromCsv.end_date.toISOString(), '2025-07-18T23:59:59.999Z');
+  });
+
+  it('audits imported records and keeps revisions of updated ones', async () => {
+    const id = '0123456789abcdef01234567';
+    await importBundle(bundle({ team_members: [{ id, name: 'Imported' }] }));
+    await importBundle(bundle({ team_members: [{ id, name: 'Imported again' }] }));
+    const revisions = await server.request('GET', `/admin-services/team-members/${id}/revisions`, { token });
+    assert.equal(revisions.body.length, 1);
+    const audit = await server.request('GET', `/admin-services/audit-log/?target=${id}`, { token });
+    assert.deepEqual(audit.body.data.map((e) => e.action).sort(), ['create', 'update']);
+  });
+
+  it('refuses slugs and category values other records hold, even when forced', async () => {
+    const event = await server.request('POST', '/admin-services/gallery-events/', { token, body: { title: 'Held' } });
+    const res = await importBundle(
+      bundle({
+        event_categories: [{ value: 'workshop', label: 'Another workshop' }],
+        gallery_events: [{ title: 'Newcomer' }, { title: 'Clash', slug: event.body.data.slug }],
+      }),
+      '?force=true'
+    );
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.errors.map((e) => Object.keys(e.fields)[0]).sort(), ['slug', 'value']);
+    const events = server.storage.collection('gallery_events');
+    assert.equal(await events.countDocuments({ title: 'Newcomer' }), 0);
+  });
+
+  it('puts back what it wrote when a write fails part way', async () => {
+    const id = '0123456789abcdef01234568';
+    await importBundle(bundle({ team_members: [{ id, name: 'Before' }] }));
+    const manuals = server.storage.collection('user_manuals');
+    const { insertOne } = manuals;
+    manuals.insertOne = async () => {
+      throw new Error('connection lost');
+    };
+    try {
+      const res = await importBundle(
+        bundle({ gallery_events: [{ title: 'First' }], team_members: [{ id, name: 'After' }], user_manuals: [{ title: 'Guide' }] })
+      );
+      assert.equal(res.status, 500);
+      assert.match(res.body.error, /nothing was written/);
+    } finally {
+      manuals.insertOne = insertOne;
+    }
+    assert.equal(await server.storage.collection('gallery_events').countDocuments({ title: 'First' }), 0);
+    const member = await server.request('GET', `/admin-services/team-members/${id}`, { token });
+    assert.equal(member.body.name, 'Before');
+  });
+});
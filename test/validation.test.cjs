@@ -0,0 +1,40 @@
+// backend/test/validation.test.cjs
+// Payload validation as clients see it without contract checks (the default)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers.cjs');
+
+describe('payload validation', () => {
+  let server;
+  let token;
+  before(async () => {
+    server = await startServer({ API_CONTRACT_CHECKS: 'off' });
+    token = await server.signIn();
+  });
+  after(() => server.close());
+
+  it('answers an invalid create with 422 and a message per field', async () => {
+    const res = await server.request('POST', '/admin-services/gallery-events/', {
+      token,
+      body: { title: '', attendees: -1, link: 'nope' },
+    });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.error, 'Validation failed');
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['attendees', 'link', 'title']);
+    assert.equal(res.body.fields.title, 'must not be empty');
+    assert.equal(res.body.fields.attendees, 'must be at least 0');
+  });
+
+  it('answers an invalid update with 422 and leaves the record alone', async () => {
+    const created = await server.request('POST', '/admin-services/team-members/', { token, body: { name: 'Ana' } });
+    const path = `/admin-services/team-members/${created.body.data.id}`;
+    const res = await server.request('PUT', path, { token, body: { name: '', scholar_url: 'not a url' } });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.error, 'Validation failed');
+    assert.equal(res.body.fields.name, 'must not be empty');
+    assert.match(res.body.fields.scholar_url, /URL/);
+    const stored = await server.request('GET', path, { token });
+    assert.equal(stored.body.name, 'Ana');
+  });
+});
@@ -0,0 +1,127 @@
+// backend/transfer-data.cjs
+// Command-line export / import of site content (see transfer.cjs for the bundle format)
+//
+//   node transfer-data.cjs export [file]                   JSON bundle to file or stdout
+//   node transfer-data.cjs export --csv <collection> [file]
+//   node transfer-data.cjs import <file> [--dry-run] [--force]
+//   node transfer-data.cjs import <file.csv> --csv <collection> [--dry-run] [--force]
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  TRANSFER_COLLECTIONS,
+  exportBundle,
+  exportCsv,
+  recordsFromCsv,
+  planImport,
+  applyImport,
+} = require('./transfer.cjs');
+const { createStorage } = require('./storage.cjs');
+const { loadConfig } = require('./config.cjs');
+const { REVISION_SCHEMAS, writeAudit, writeRevision } = require('./history.cjs');
+
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const FORCE = args.includes('--force');
+const csvIndex = args.indexOf('--csv');
+const CSV_COLLECTION = csvIndex === -1 ? null : args[csvIndex + 1];
+const [command, file] = args.filter((a, i) => !a.startsWith('--') && (csvIndex === -1 || i !== csvIndex + 1));
+
+if (!['export', 'import'].includes(command) || (command === 'import' && !file)) {
+  console.error('Usage: transfer-data.cjs export [--csv <collection>] [file] | import <file> [--csv <collection>] [--dry-run] [--force]');
+  process.exit(1);
+}
+if (csvIndex !== -1 && !TRANSFER_COLLECTIONS[CSV_COLLECTION]) {
+  console.error(`--csv needs one of: ${Object.keys(TRANSFER_COLLECTIONS).join(', ')}`);
+  process.exit(1);
+}
+
+function printReport(plan) {
+  for (const [name, counts] of Object.entries(plan.summary)) {
+    console.log(`${name}: ${counts.create} create, ${counts.update} update, ${counts.skip} skip`);
+  }
+  for (const e of plan.errors) {
+    console.log(`error: ${e.collection || 'bundle'}${e.index !== undefined ? `[${e.index}]` : ''} ${e.message || JSON.stringify(e.fields)}`);
+  }
+  for (const c of plan.conflicts) {
+    console.log(`conflict: ${c.collection}[${c.index}]${c.id ? ` ${c.id}` : ''} ${c.message}`);
+  }
+}
+
+(async () => {
+  let db;
+  try {
+    // Same settings and checks as the server
+    const config = loadConfig();
+    db = createStorage({
+      kind: config.STORAGE,
+      uri: config.MONGODB_URI,
+      dbName: config.DB_NAME,
+      file: config.STORAGE_FILE,
+      serverSelectionTimeoutMS: config.DB_SERVER_SELECTION_TIMEOUT_MS,
+    });
+    await db.connect();
+
+    if (command === 'export') {
+      const output = CSV_COLLECTION
+        ? await exportCsv(db, CSV_COLLECTION)
+        : `${JSON.stringify(await exportBundle(db), null, 2)}\n`;
+      if (file) {
+        fs.writeFileSync(file, output);
+        console.error(`Exported to ${file}`);
+      } else {
+        process.stdout.write(output);
+      }
+      return;
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    let bundle;
+    if (CSV_COLLECTION) {
+      const parsed = recordsFromCsv(CSV_COLLECTION, text);
+      if (parsed.error) throw new Error(parsed.error);
+      bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, collections: { [CSV_COLLECTION]: parsed.records } };
+    } else {
+      bundle = JSON.parse(text);
+    }
+
+    const plan = await planImport(db, bundle);
+    printReport(plan);
+    if (DRY_RUN) {
+      console.log('[dry-run] nothing written');
+      return;
+    }
+    if (plan.errors.length) throw new Error('Import has invalid records; nothing written');
+    if (plan.conflicts.length && !FORCE) throw new Error('Import has conflicts; rerun with --force to apply anyway');
+    // Audited and revisioned like imports through the API, without a signed-in actor
+    await applyImport(db, plan, async (op, before, after) => {
+      try {
+        if (before && REVISION_SCHEMAS[op.collection]) await writeRevision(db, op.collection, before, after);
+        await writeAudit(db, {
+          resource: op.collection,
+          action: before ? 'update' : 'create',
+          targetId: after._id,
+          before,
+          after,
+          meta: { import: true, source: 'transfer-data' },
+        });
+      } catch (err) {
+        console.error(`History write error for ${op.collection} ${after._id}:`, err.message || err);
+      }
+    });
+    console.log('Import applied');
+  } catch (err) {
+    console.error('Transfer error:', err.message || err);
+    if (err.undone !== undefined) {
+      console.error(err.undone ? 'Nothing was written' : 'Some records may have been written; check them before retrying');
+    }
+    process.exitCode = 1;
+  } finally {
+    if (db) await db.close();
+  }
+})();
@@ -0,0 +1,391 @@
+// backend/transfer.cjs
+// Export / import of site content as versioned JSON bundles or per-collection CSV,
+// shared by the admin routes in backend.cjs and the transfer-data.cjs script
+//
+// Only the editable fields of each record travel, plus id/createdAt/updatedAt.
+// Trashed records and retracted insight points are left out, and uploaded media
+// stays in GridFS: bundles keep the media URLs but not the files.
+
+const { ObjectId } = require('mongodb');
+const {
+  eventSchema,
+  teamMemberSchema,
+  manualSchema,
+  categorySchema,
+  insightPointSchema,
+  checkInsightPoint,
+  validate,
+} = require('./schemas.cjs');
+const { formatEventDateRange, resolveEventDates } = require('./event-dates.cjs');
+const { SLUG_SOURCES, slugBase, slugTaken, uniqueSlug, previousSlugs } = require('./slugs.cjs');
+
+const BUNDLE_FORMAT = 'metainfosci-export';
+const BUNDLE_VERSION = 1;
+
+const TRANSFER_COLLECTIONS = {
+  gallery_events: { schema: eventSchema, filter: { deletedAt: null } },
+  event_categories: { schema: categorySchema, filter: {} },
+  team_members: { schema: teamMemberSchema, filter: { deletedAt: null } },
+  user_manuals: { schema: manualSchema, filter: { deletedAt: null } },
+  insight_points: {
+    schema: insightPointSchema,
+    filter: { retractedAt: null },
+    // Bookkeeping fields the insights routes expect on every point
+    created: { source: 'import', recordedBy: null, retractedAt: null },
+  },
+};
+
+function exportRecord(schema, doc) {
+  const record = { id: doc._id.toString() };
+  for (const key of Object.keys(schema)) {
+    if (doc[key] !== undefined) record[key] = doc[key];
+  }
+  if (doc.createdAt) record.createdAt = doc.createdAt;
+  if (doc.updatedAt) record.updatedAt = doc.updatedAt;
+  return record;
+}
+
+async function exportCollection(db, name) {
+  const { schema, filter } = TRANSFER_COLLECTIONS[name];
+  const docs = await db.collection(name).find(filter).sort({ _id: 1 }).toArray();
+  return docs.map((doc) => exportRecord(schema, doc));
+}
+
+async function exportBundle(db) {
+  const collections = {};
+  for (const name of Object.keys(TRANSFER_COLLECTIONS)) {
+    collections[name] = await exportCollection(db, name);
+  }
+  return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date(), collections };
+}
+
+// CSV
+// One row per record; array cells hold one item per line.
+function csvColumns(name) {
+  return ['id', ...Object.keys(TRANSFER_COLLECTIONS[name].schema), 'createdAt', 'updatedAt'];
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join('\n');
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportCsv(db, name) {
+  const columns = csvColumns(name);
+  const records = await exportCollection(db, name);
+  const lines = [columns.join(',')];
+  for (const record of records) lines.push(columns.map((c) => csvCell(record[c])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.length > 1 || r[0] !== '');
+}
+
+// Turns CSV cells back into the JSON types the schema expects; empty cells of
+// non-string fields are treated as missing.
+function csvValue(rule, text) {
+  if (rule.type === 'string' || (rule.type === 'date' && rule.nullable)) return text;
+  if (text === '') return undefined;
+  if (rule.type === 'boolean') return text === 'true' ? true : text === 'false' ? false : text;
+  if (rule.type === 'array') return text.split(/\r?\n/);
+  return text;
+}
+
+/**
+ * Parses a CSV export of one collection into bundle records.
+ * Returns `{ records }` or `{ error }` when the header does not match.
+ */
+function recordsFromCsv(name, text) {
+  const { schema } = TRANSFER_COLLECTIONS[name];
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return { records: [] };
+  const unknown = header.filter((c) => !csvColumns(name).includes(c));
+  if (unknown.length) return { error: `Unknown column(s) for ${name}: ${unknown.join(', ')}` };
+
+  const records = rows.map((cells) => {
+    const record = {};
+    header.forEach((column, i) => {
+      const text = cells[i] ?? '';
+      if (column in schema) {
+        const value = csvValue(schema[column], text);
+        if (value !== undefined) record[column] = value;
+      } else if (text !== '') {
+        record[column] = text;
+      }
+    });
+    return record;
+  });
+  return { records };
+}
+
+// IMPORT
+function sameFields(schema, a, b) {
+  return Object.keys(schema).every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+function parseTimestamp(value) {
+  const d = new Date(value);
+  return value && !Number.isNaN(d.getTime()) ? d : null;
+}
+
+/**
+ * Validates a bundle against the database and works out what importing it
+ * would do, without writing anything. Returns
+ * `{ ops, summary, errors, conflicts }`; each op is a create, update or skip of
+ * one record. Errors make the bundle unusable, including values the unique
+ * indexes would refuse (a category value or slug taken by another record);
+ * conflicts are records whose import would clobber something (a newer local
+ * edit, a trashed record) and only go ahead when forced.
+ */
+async function planImport(db, bundle) {
+  const ops = [];
+  const errors = [];
+  const conflicts = [];
+  const summary = {};
+
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return { ops, summary, conflicts, errors: [{ message: `Not a ${BUNDLE_FORMAT} bundle` }] };
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return { ops, summary, conflicts, errors: [{ message: `Unsupported bundle version ${bundle.version}` }] };
+  }
+  const sections = bundle.collections || {};
+  for (const name of Object.keys(sections)) {
+    if (!TRANSFER_COLLECTIONS[name]) errors.push({ collection: name, message: 'Unknown collection' });
+  }
+
+  // Categories the events may refer to once the bundle is applied
+  const categoryValues = new Set((await db.collection('event_categories').find({}).toArray()).map((c) => c.value));
+  for (const record of Array.isArray(sections.event_categories) ? sections.event_categories : []) {
+    if (record && typeof record.value === 'string') categoryValues.add(record.value);
+  }
+
+  for (const [name, { schema }] of Object.entries(TRANSFER_COLLECTIONS)) {
+    const records = sections[name];
+    if (records === undefined) continue;
+    if (!Array.isArray(records)) {
+      errors.push({ collection: name, message: 'must be an array' });
+      continue;
+    }
+    summary[name] = { create: 0, update: 0, skip: 0 };
+    const collection = db.collection(name);
+    const seenIds = new Set();
+    const seenValues = new Set();
+    const seenSlugs = new Set();
+
+    for (let index = 0; index < records.length; index++) {
+      const record = records[index];
+      const at = { collection: name, index, id: record?.id ?? null };
+      const { value, errors: fields } = validate(schema, record);
+      if (fields) {
+        errors.push({ ...at, fields });
+        continue;
+      }
+      if (record.id !== undefined && !(typeof record.id === 'string' && ObjectId.isValid(record.id))) {
+        errors.push({ ...at, fields: { id: 'must be a 24-character hex id' } });
+        continue;
+      }
+      if (record.id !== undefined && seenIds.has(record.id)) {
+        errors.push({ ...at, fields: { id: 'appears more than once' } });
+        continue;
+      }
+      seenIds.add(record.id);
+      if (value.publish_at instanceof Date && value.unpublish_at instanceof Date && value.unpublish_at <= value.publish_at) {
+        errors.push({ ...at, fields: { unpublish_at: 'must be after publish_at' } });
+        continue;
+      }
+
+      if (name === 'gallery_events') {
+        // Dated like POST /gallery-events; events with only a display date (or
+        // empty date cells in CSV) get their structured dates from it
+        const { start_date: start, end_date: end, ...undated } = value;
+        const dated = resolveEventDates(start || end ? value : undated);
+        if (dated.errors) {
+          errors.push({ ...at, fields: dated.errors });
+          continue;
+        }
+        Object.assign(value, dated.value);
+        if (value.date === undefined) {
+          value.date = formatEventDateRange(value.start_date, value.end_date);
+        }
+        if (value.category && !categoryValues.has(value.category)) {
+          errors.push({ ...at, fields: { category: `"${value.category}" is not a known category` } });
+          continue;
+        }
+      }
+
+      // Same rules as the ingest route; points without `at` are dated when they were recorded
+      if (name === 'insight_points') {
+        const pointError = checkInsightPoint(value);
+        if (pointError) {
+          errors.push({ ...at, fields: pointError });
+          continue;
+        }
+        if (!value.at) value.at = parseTimestamp(record.createdAt) || new Date();
+      }
+
+      const id = record.id ? new ObjectId(record.id) : new ObjectId();
+      if (name === 'event_categories') {
+        if (seenValues.has(value.value)) {
+          errors.push({ ...at, fields: { value: 'appears more than once' } });
+          continue;
+        }
+        seenValues.add(value.value);
+        const taken = await collection.findOne({ value: value.value, _id: { $ne: id } });
+        if (taken) {
+          errors.push({ ...at, fields: { value: `"${value.value}" already belongs to ${taken._id}` } });
+          continue;
+        }
+      }
+
+      const before = record.id ? await collection.findOne({ _id: id }) : null;
+      if (SLUG_SOURCES[name]) {
+        // Records exported without a slug keep the one they have here, or get one
+        if (!value.slug) {
+          value.slug = before?.slug || (await uniqueSlug(collection, slugBase(name, value), { exceptId: id, reserved: seenSlugs }));
+        } else if (seenSlugs.has(value.slug)) {
+          errors.push({ ...at, fields: { slug: 'appears more than once' } });
+          continue;
+        } else if (await slugTaken(collection, value.slug, id)) {
+          errors.push({ ...at, fields: { slug: `"${value.slug}" is already in use` } });
+          continue;
+        }
+        seenSlugs.add(value.slug);
+        if (before?.slug && before.slug !== value.slug) value.previous_slugs = previousSlugs(before, value.slug);
+      }
+      let action = 'create';
+      if (before) {
+        action = sameFields(schema, before, value) ? 'skip' : 'update';
+        const exportedAt = parseTimestamp(record.updatedAt);
+        if (before.deletedAt) {
+          conflicts.push({ ...at, message: 'Record is in the trash here' });
+        } else if (action === 'update' && exportedAt && before.updatedAt instanceof Date && before.updatedAt > exportedAt) {
+          conflicts.push({ ...at, message: 'Record was changed here after it was exported' });
+        }
+      }
+      summary[name][action]++;
+      ops.push({ collection: name, action, id, value, before, createdAt: parseTimestamp(record.createdAt) });
+    }
+  }
+
+  return { ops, summary, errors, conflicts };
+}
+
+// Puts the records written by a failed import back as they were, newest first
+async function undoImport(db, written) {
+  for (const { op, before } of [...written].reverse()) {
+    const collection = db.collection(op.collection);
+    if (!before) {
+      await collection.deleteOne({ _id: op.id });
+      continue;
+    }
+    const { _id, ...fields } = before;
+    const restore = { $set: fields };
+    const $unset = {};
+    for (const key of Object.keys(op.value)) {
+      if (!(key in before)) $unset[key] = '';
+    }
+    if (Object.keys($unset).length) restore.$unset = $unset;
+    await collection.updateOne({ _id }, restore);
+  }
+}
+
+/**
+ * Writes a plan from planImport(), in one transaction where the storage has
+ * them. Elsewhere a failed write puts back the records already written before
+ * the error is rethrown; `err.undone` is false when that failed too, so the
+ * import may be partly applied. `onChange(op, before, after)` is awaited for
+ * each create/update once everything is written, so callers can audit it.
+ */
+async function applyImport(db, plan, onChange = async () => {}) {
+  const now = new Date();
+  let written = [];
+  let transactional = false;
+  try {
+    await db.transaction(async (session) => {
+      written = [];
+      transactional = Boolean(session);
+      for (const op of plan.ops) {
+        if (op.action === 'skip') continue;
+        const { schema, created } = TRANSFER_COLLECTIONS[op.collection];
+        const collection = db.collection(op.collection);
+        if (op.action === 'create') {
+          const doc = { _id: op.id, ...created, ...op.value, createdAt: op.createdAt || now, updatedAt: now };
+          await collection.insertOne(doc, { session });
+          written.push({ op, before: null, after: doc });
+        } else {
+          const update = { $set: { ...op.value, updatedAt: now } };
+          const $unset = {};
+          for (const key of Object.keys(schema)) {
+            if (!(key in op.value)) $unset[key] = '';
+          }
+          if (Object.keys($unset).length) update.$unset = $unset;
+          const after = await collection.findOneAndUpdate({ _id: op.id }, update, { returnDocument: 'after', session });
+          if (after) written.push({ op, before: op.before, after });
+        }
+      }
+    });
+  } catch (err) {
+    err.undone = true;
+    if (!transactional) {
+      try {
+        await undoImport(db, written);
+      } catch (undoErr) {
+        err.undone = false;
+        err.undoError = undoErr;
+      }
+    }
+    throw err;
+  }
+  for (const { op, before, after } of written) await onChange(op, before, after);
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  TRANSFER_COLLECTIONS,
+  exportBundle,
+  exportCsv,
+  recordsFromCsv,
+  planImport,
+  applyImport,
+};